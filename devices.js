@@ -0,0 +1,119 @@
+/**
+ * Device Emulation
+ * Resolves the device entries a test runs on into concrete emulation
+ * settings for the Playwright MCP server.
+ *
+ * A device entry is one of:
+ * - a preset: "mobile", "tablet" or "desktop"
+ * - a Playwright device name, e.g. "iPhone 13" or "Pixel 7"
+ * - a viewport, e.g. "1024x768"
+ * - a mapping: { name, device?, viewport?, userAgent?, touch?, mobile? }
+ */
+
+import { devices as playwrightDevices } from '@playwright/test';
+
+export const DEVICE_PRESETS = {
+  mobile: { device: 'iPhone 13' },
+  tablet: { device: 'iPad Mini' },
+  desktop: { viewport: '1280x720' }
+};
+
+const DEVICE_KEYS = ['name', 'device', 'viewport', 'userAgent', 'touch', 'mobile'];
+
+/**
+ * Parse a "WIDTHxHEIGHT" string
+ * @param {string} value - Viewport string
+ * @returns {{width: number, height: number}|null} - Null if the string is not a viewport
+ */
+function parseViewport(value) {
+  const match = /^(\d+)x(\d+)$/.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) return null;
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Resolve a device entry into emulation settings
+ * @param {string|Object} entry - Device entry from a test file, the config file or the CLI
+ * @returns {Object} - Device as { name, device, viewport, userAgent, touch, mobile }
+ * @throws {Error} If the entry names an unknown device or has invalid fields
+ */
+export function resolveDevice(entry) {
+  if (typeof entry === 'string') {
+    const name = entry.trim();
+    const preset = DEVICE_PRESETS[name.toLowerCase()];
+    if (preset) return resolveDevice({ name, ...preset });
+    if (parseViewport(name)) return resolveDevice({ name, viewport: name });
+    return resolveDevice({ name, device: name });
+  }
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('device must be a name, a WIDTHxHEIGHT viewport or a mapping');
+  }
+
+  const unknown = Object.keys(entry).filter(key => !DEVICE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown device field(s) ${unknown.join(', ')} (expected: ${DEVICE_KEYS.join(', ')})`);
+  }
+  if (typeof entry.name !== 'string' || !entry.name.trim()) {
+    throw new Error('device mapping needs a "name"');
+  }
+  if (entry.device !== undefined && !Object.hasOwn(playwrightDevices, entry.device)) {
+    throw new Error(`unknown device "${entry.device}" (use a Playwright device name such as "iPhone 13", a WIDTHxHEIGHT viewport, or one of: ${Object.keys(DEVICE_PRESETS).join(', ')})`);
+  }
+  if (entry.device === undefined && entry.viewport === undefined) {
+    throw new Error(`device "${entry.name}" needs a "device" or a "viewport"`);
+  }
+
+  const viewport = entry.viewport === undefined ? null : parseViewport(entry.viewport);
+  if (entry.viewport !== undefined && !viewport) {
+    throw new Error(`invalid viewport "${entry.viewport}" for device "${entry.name}" (expected WIDTHxHEIGHT)`);
+  }
+  if (entry.userAgent !== undefined && typeof entry.userAgent !== 'string') {
+    throw new Error(`"userAgent" of device "${entry.name}" must be a string`);
+  }
+  for (const flag of ['touch', 'mobile']) {
+    if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') {
+      throw new Error(`"${flag}" of device "${entry.name}" must be true or false`);
+    }
+  }
+
+  return {
+    name: entry.name.trim(),
+    device: entry.device ?? null,
+    viewport,
+    userAgent: entry.userAgent ?? null,
+    touch: entry.touch ?? null,
+    mobile: entry.mobile ?? null
+  };
+}
+
+/**
+ * Describe a device and its effective emulation, e.g. "mobile (iPhone 13, 390x664, mobile, touch)"
+ * @param {Object} device - Device from resolveDevice()
+ * @returns {string}
+ */
+export function describeDevice(device) {
+  const descriptor = device.device ? playwrightDevices[device.device] : {};
+  const viewport = device.viewport || descriptor.viewport;
+  const touch = device.touch ?? descriptor.hasTouch;
+  const mobile = device.mobile ?? descriptor.isMobile;
+
+  const parts = [];
+  if (device.device && device.device !== device.name) parts.push(device.device);
+  if (viewport) parts.push(`${viewport.width}x${viewport.height}`);
+  if (mobile) parts.push('mobile');
+  if (touch) parts.push('touch');
+  if (device.userAgent) parts.push('custom user agent');
+
+  const details = parts.join(', ');
+  return details && details !== device.name ? `${device.name} (${details})` : device.name;
+}
+
+/**
+ * Turn a device or variant name into a safe file/directory name
+ * @param {string} name - Name
+ * @returns {string}
+ */
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
@@ -7,36 +7,64 @@
  * • Full MCP integration for browser automation
  * • Minimal, production-ready design
  * 
- * Usage: node direct_mcp_stateless.js tests/example.test.yml
+ * Usage: node direct_mcp_stateless.js <test.yml | tests-folder | glob>... [options]
+ *        (run without arguments for the list of options)
  */
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { TestReportGenerator } from './test-report-generator.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { setTimeout as sleep } from 'timers/promises';
+import { parseArgs } from 'util';
+import { runInWorkers, stopWorkers } from './worker-pool.js';
 import { generateText } from 'ai';
-import { createLLM } from './llm-factory.js';
+import { createUsage, addUsage, sumUsage, loadPrices, formatUsage, formatCost } from './llm-usage.js';
+import { isRetryableLLMError, getRetryDelay } from './llm-retry.js';
+import { createLLM, createFallbackLLMs, checkLLMConfig, DEFAULT_MODELS, PROVIDERS, LIVE_PROVIDERS } from './llm-factory.js';
+import { PlanCache } from './plan-cache.js';
+import { ToolCache } from './tool-cache.js';
+import { SessionStore } from './session-store.js';
+import { validatePlan, validatePlanEntry, formatValidationReport } from './plan-validator.js';
+import { parseTestFile, parseSuiteFile, createHookTest, flattenSteps, renderTestText, SETUP_SECTIONS, TEARDOWN_SECTIONS, HOOKS } from './test-parser.js';
+import { VariableContext, loadEnvFile, interpolateTest } from './variables.js';
+import { exampleColumns } from './examples.js';
+import { findTestFiles, findSuiteFile, describeTests, filterTests, testPath, SUITE_FILES } from './test-discovery.js';
+import { resolveDevice, describeDevice, slugify } from './devices.js';
+import { SETTINGS, BROWSERS, DEFAULT_CONFIG_FILE, createDefaultConfig, loadConfig, formatConfig } from './runner-config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // ---------- CONFIG ----------
-const config = {
-  llm: {
-    provider: process.env.LLM_PROVIDER || 'openai',
-    apiKey: process.env.OPENAI_API_KEY,
-    temperature: 1
-  },
-  browser: {
-    headless: false,
-    viewport: { width: 1280, height: 720 }
-  },
-  reporting: {
-    screenshotsDir: 'mcp-workspace/test-screenshots',
-    outputDir: 'test-reports'
-  }
-};
+// Defaults only; main() layers the config file, environment and CLI flags on top (see runner-config.js)
+const config = createDefaultConfig();
+
+// Name of the signal (SIGINT/SIGTERM) that interrupted the run, see the cleanup handlers
+let interruptSignal = null;
+
+// Aborted on interrupt, so waits between LLM retries end at once
+const interruptController = new AbortController();
+
+// Suite config with the hooks of the tests being run, loaded by main()
+let suite = null;
+
+// LLM price table (USD per million tokens), loaded by main()
+let prices = loadPrices();
+
+// LLM usage of the whole run so far, including the results reported by workers;
+// once its cost passes llm.budget no further test starts
+let runUsage = createUsage();
+let budgetExceeded = false;
+
+// Plans already re-generated in this run under --refresh-plan; later example
+// rows, matrix entries and retries of the same test replay them
+const refreshedPlans = new Set();
+
+// Tool params that point at a page element; the only params a repair may change in an assertion
+const ELEMENT_PARAMS = ['element', 'ref', 'target', 'startElement', 'startRef', 'startTarget', 'endElement', 'endRef', 'endTarget'];
 
 // ---------- LOGGER ----------
 const log = {
@@ -48,22 +76,117 @@ const log = {
   llm: (msg) => console.log(`🤖 LLM: ${msg}`)
 };
 
+// ---------- TIMEOUTS ----------
+/**
+ * Creates an abort signal that fires after `ms` milliseconds, or as soon as
+ * the parent signal aborts.
+ *
+ * @param {number} ms - Timeout in milliseconds (0 = no timeout)
+ * @param {AbortSignal|null} parent - Signal to follow, e.g. the per-test signal
+ * @returns {{signal: AbortSignal, timedOut: function(): boolean, clear: function(): void}}
+ */
+function createTimeoutSignal(ms, parent) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = ms > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort(new Error(`Timed out after ${ms}ms`));
+    }, ms)
+    : null;
+
+  const onParentAbort = () => controller.abort(parent.reason);
+  if (parent) {
+    if (parent.aborted) onParentAbort();
+    else parent.addEventListener('abort', onParentAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    clear: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onParentAbort);
+    }
+  };
+}
+
+/**
+ * Builds an error for a timed-out call, flagged so callers can tell it
+ * apart from ordinary tool or LLM failures.
+ *
+ * @param {string} message - Error message
+ * @param {number} duration - How long the call ran, in milliseconds
+ * @returns {Error}
+ */
+function createTimeoutError(message, duration) {
+  const error = new Error(message);
+  error.timedOut = true;
+  error.duration = duration;
+  return error;
+}
+
+/**
+ * Tells whether the LLM spending of the run has passed llm.budget.
+ * Warns once, the first time it has, that the remaining tests will not run.
+ *
+ * @returns {boolean}
+ */
+function isOverBudget() {
+  if (budgetExceeded) return true;
+  if (config.llm.budget <= 0 || runUsage.cost <= config.llm.budget) return false;
+
+  budgetExceeded = true;
+  log.error(`💸 LLM budget of ${formatCost(config.llm.budget)} exceeded (~${formatCost(runUsage.cost)} spent), the remaining tests will not run`, '');
+  return true;
+}
+
 // ---------- STATELESS RUNNER ----------
 class StatelessMCPRunner {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.browser] - Browser to launch (defaults to config.browser.name)
+   * @param {Object|null} [options.device] - Device to emulate, from resolveDevice()
+   * @param {string|null} [options.variant] - Matrix variant label; keeps screenshots,
+   *   browser profile and report file apart from the other variants of the test
+   * @param {Object|null} [options.example] - Example row to run the test with, from resolveExamples()
+   */
+  constructor({ browser = config.browser.name, device = null, variant = null, example = null } = {}) {
+    this.browser = browser;
+    this.device = device;
+    this.variant = variant;
+    this.example = example;
+    this.reporting = variant
+      ? {
+        ...config.reporting,
+        screenshotsDir: path.join(config.reporting.screenshotsDir, slugify(variant)),
+        reportSuffix: `${config.reporting.reportSuffix}_${slugify(variant)}`
+      }
+      : config.reporting;
     this.mcpClient = null;
     this.mcpTools = new Map();
     this.testResults = {
       passed: 0,
       failed: 0,
+      skipped: 0,
       actions: []
     };
-    this.reportGenerator = new TestReportGenerator(config);
+    this.reportGenerator = new TestReportGenerator({ ...config, reporting: this.reporting });
+    this.planCache = new PlanCache(config.runner.planCacheDir);
+    this.toolCache = new ToolCache(config.runner.toolCache);
+    this.sessionStore = new SessionStore(config.runner.sessionsDir, config.runner.sessionMaxAge);
+    this.variables = new VariableContext({ secrets: config.runner.secrets });
+    this.reportGenerator.redact = (data) => this.variables.redact(data);
+    this.testAbort = null;
+    this.mcpTimedOut = false;
+    this.usage = createUsage();
+    this.llmEvents = [];
+    this.previousAttempts = [];
+    this.reportFile = null;
     this.testReport = null;
-    this.llm = createLLM({
-      provider: config.llm.provider,
-      apiKey: config.llm.apiKey
-    });
+    this.llm = createLLM(config.llm);
+    this.fallbackLLMs = createFallbackLLMs(config.llm);
   }
 
   /**
@@ -91,7 +214,7 @@ class StatelessMCPRunner {
     // Return LAST screenshot (most relevant)
     const filename = path.basename(matches[matches.length - 1]);
 
-    return path.join(config.reporting.screenshotsDir, filename);
+    return path.join(this.reporting.screenshotsDir, filename);
   }
 
   /**
@@ -101,14 +224,19 @@ class StatelessMCPRunner {
    * @param {Object} action
    * @param {string} action.tool - Tool name executed
    * @param {Object} action.params - Tool input parameters
-   * @param {'passed'|'failed'} action.status - Execution status
+   * @param {'passed'|'failed'|'skipped'} action.status - Execution status
    * @param {boolean} [action.assertion] - Whether step was an assertion
    * @param {string} [action.error] - Error message (if failed)
    * @param {number} action.duration - Execution time in milliseconds
    * @param {string|null} [action.screenshot] - Screenshot path if captured
+   * @param {Array<Object>} [action.attempts] - Failed attempts preceding the final one
+   * @param {string} [action.phase] - Test section the action belongs to (setup, steps, teardown or a hook)
+   * @param {string} [action.step] - Natural-language step the action implements
+   * @param {Array<string>} [action.source] - "file:line" frames the step came from, innermost first
+   * @returns {Object} The recorded action
    */
-  recordAction({ tool, params, status, assertion, error, duration, screenshot }) {
-    this.testResults.actions.push({
+  recordAction({ tool, params, status, assertion, error, duration, screenshot, attempts, phase, step, source }) {
+    const action = {
       tool,
       params,
       status,
@@ -116,23 +244,111 @@ class StatelessMCPRunner {
       error: error || null,
       duration,
       screenshot: screenshot || null,
+      attempts: attempts || [],
+      phase: phase || 'steps',
+      // Show the example row's values in place of its placeholders
+      step: step ? this.variables.interpolate(step, { keepDeferred: false }) : null,
+      source: source || null,
       timestamp: new Date()
-    });
+    };
+    this.testResults.actions.push(action);
 
     if (status === 'passed') this.testResults.passed++;
     if (status === 'failed') this.testResults.failed++;
+    if (status === 'skipped') this.testResults.skipped++;
+
+    return action;
+  }
+
+  /**
+   * Builds the Playwright MCP server arguments from the browser config and
+   * the emulated device, if any.
+   *
+   * @param {string} workspaceDir - MCP working directory
+   * @param {string} screenshotsDir - Absolute screenshots directory
+   * @param {Object} [session]
+   * @param {string|null} [session.storageState] - Saved storage state to start with
+   * @param {boolean} [session.captureSession] - Enable the tools that save storage state
+   * @returns {Array<string>} npx arguments
+   */
+  buildMCPArgs(workspaceDir, screenshotsDir, { storageState = null, captureSession = false } = {}) {
+    const args = [
+      '@playwright/mcp@latest',
+      '--browser', this.browser,
+      '--ignore-https-errors',
+      '--output-dir', path.relative(workspaceDir, screenshotsDir)
+    ];
+
+    // A named device brings its own viewport, user agent and touch support
+    const device = this.device;
+    if (device?.device) {
+      args.push('--device', device.device);
+    }
+    const viewport = device ? device.viewport : config.browser.viewport;
+    if (viewport) {
+      args.push('--viewport-size', `${viewport.width}x${viewport.height}`);
+    }
+    if (device?.userAgent) {
+      args.push('--user-agent', device.userAgent);
+    }
+
+    // Touch and mobile emulation have no CLI flag, only context options
+    if (device && (device.touch !== null || device.mobile !== null)) {
+      const contextOptions = {};
+      if (device.touch !== null) contextOptions.hasTouch = device.touch;
+      if (device.mobile !== null) contextOptions.isMobile = device.mobile;
+
+      const configFile = path.join(workspaceDir, 'device-configs', `${slugify(this.variant || device.name)}.json`);
+      fs.mkdirSync(path.dirname(configFile), { recursive: true });
+      fs.writeFileSync(configFile, JSON.stringify({ browser: { contextOptions } }, null, 2));
+      args.push('--config', configFile);
+    }
+
+    if (config.browser.headless) {
+      args.push('--headless');
+    }
+
+    if (captureSession) {
+      args.push('--caps', 'storage');
+    }
+
+    // A storage state only loads into an isolated (in-memory) profile
+    if (storageState) {
+      args.push('--isolated', '--storage-state', storageState);
+    } else if (config.browser.userDataDir) {
+      const userDataDir = path.resolve(config.browser.userDataDir, this.variant ? slugify(this.variant) : '');
+      fs.mkdirSync(userDataDir, { recursive: true });
+      args.push('--user-data-dir', userDataDir);
+    }
+
+    return args;
   }
 
   /**
    * Initializes the MCP client connection and discovers available tools.
-   * Also ensures screenshot output directories exist.
+   * Also ensures screenshot output directories exist. The discovered tools
+   * are saved to the tool cache for --dry-run.
    *
+   * @param {Object|null} [test] - Test definition; its useSession/saveSession
+   *   decide whether a saved session is loaded or can be saved
    * @returns {Promise<Map<string, Object>>} Discovered MCP tools map
-   * @throws {Error} If MCP connection fails
+   * @throws {Error} If MCP connection fails or a required session is missing
    */
-  async initializeMCP() {
+  async initializeMCP(test = null) {
+    let storageState = null;
+    if (test?.useSession) {
+      storageState = this.sessionStore.getStateFile(test.useSession);
+      if (!fs.existsSync(storageState)) {
+        throw new Error(`Session "${test.useSession}" is not available; its setup test (saveSession: ${test.useSession}) has not run or failed`);
+      }
+      log.info(`🔐 Using saved session "${test.useSession}"`);
+    }
+
+    // Saving a session needs the storage tools, which change the tool list
+    const capabilities = test?.saveSession ? ['storage'] : [];
+
     const workspaceDir = path.resolve('mcp-workspace');
-    const screenshotsDir = path.join(workspaceDir, 'test-screenshots');
+    const screenshotsDir = path.resolve(this.reporting.screenshotsDir);
     const uploadsDir = path.join(workspaceDir, 'uploads');
 
     fs.mkdirSync(screenshotsDir, { recursive: true });
@@ -141,13 +357,10 @@ class StatelessMCPRunner {
     const transport = new StdioClientTransport({
       command: 'npx',
       cwd: workspaceDir,
-      args: [
-        '@playwright/mcp@latest',
-        '--browser', 'chromium',
-        '--ignore-https-errors',
-        '--output-dir', 'test-screenshots',
-        '--viewport-size', `${config.browser.viewport.width}x${config.browser.viewport.height}`
-      ],
+      args: this.buildMCPArgs(workspaceDir, screenshotsDir, {
+        storageState,
+        captureSession: capabilities.includes('storage')
+      }),
       stderr: 'inherit',
       env: {
         ...process.env,
@@ -175,10 +388,36 @@ class StatelessMCPRunner {
         inputSchema: tool.inputSchema
       });
     }
+    this.toolCache.save(Array.from(this.mcpTools.values()), capabilities);
 
     return this.mcpTools;
   }
 
+  /**
+   * Loads the MCP tools for planning without a browser session: from the
+   * tool cache, else by starting the MCP server only to list its tools
+   * (Playwright MCP launches the browser on the first tool call, not before).
+   *
+   * @param {Object} test - Test definition; saveSession selects the tool list
+   * @returns {Promise<Map<string, Object>>} MCP tools map
+   * @throws {Error} If nothing is cached and the MCP server cannot be started
+   */
+  async loadPlanningTools(test) {
+    const cached = this.toolCache.load(test.saveSession ? ['storage'] : []);
+    if (cached) {
+      this.mcpTools = new Map(cached.tools.map(tool => [tool.name, tool]));
+      log.info(`Using ${cached.tools.length} cached MCP tools (listed ${cached.savedAt})`);
+      return this.mcpTools;
+    }
+
+    log.info('No cached MCP tool list, starting the MCP server to list its tools');
+    try {
+      return await this.initializeMCP({ saveSession: test.saveSession });
+    } finally {
+      await this.cleanup();
+    }
+  }
+
   /**
    * Converts discovered MCP tools into OpenAI function-calling format.
    *
@@ -202,27 +441,51 @@ class StatelessMCPRunner {
   /**
    * Executes a single MCP tool with the provided parameters.
    * Measures execution time and validates tool success.
+   * Variable placeholders in the params are substituted just before the call.
    *
    * @param {string} toolName - MCP tool name
    * @param {Object} params - Tool input parameters
    * @returns {Promise<{result: Object, duration: number}>}
-   * @throws {Error} If tool execution fails or returns false
+   * @throws {Error} If tool execution fails, returns false or times out
    */
   async executeMCP(toolName, params) {
-    log.tool(toolName, params);
+    log.tool(toolName, this.variables.redact(params));
     const start = Date.now();
 
-    const result = await this.mcpClient.callTool({
-      name: toolName,
-      arguments: params
-    });
+    const testSignal = this.testAbort?.signal || null;
+    const timeout = createTimeoutSignal(config.runner.timeouts.tool, testSignal);
+
+    let result;
+    try {
+      // Placeholders (including secrets) are only resolved here, right before the call
+      result = await this.mcpClient.callTool({
+        name: toolName,
+        arguments: this.variables.resolveParams(params)
+      }, undefined, {
+        signal: timeout.signal,
+        timeout: 2147483647 // our own signal enforces the timeout
+      });
+    } catch (err) {
+      const elapsed = Date.now() - start;
+      if (testSignal?.aborted) {
+        throw createTimeoutError(testSignal.reason.message, elapsed);
+      }
+      if (timeout.timedOut()) {
+        this.mcpTimedOut = true;
+        throw createTimeoutError(`MCP tool ${toolName} timed out after ${config.runner.timeouts.tool}ms`, elapsed);
+      }
+      err.duration = elapsed;
+      throw err;
+    } finally {
+      timeout.clear();
+    }
     console.log("mcp result-> ")
-    console.log(result)
+    console.log(this.variables.redact(result))
     const duration = Date.now() - start;
 
     if (result.isError) {
       // Don't record here, just throw with context
-      const error = new Error(`MCP Tool Error: ${JSON.stringify(result.content)}`);
+      const error = new Error(this.variables.redact(`MCP Tool Error: ${JSON.stringify(result.content)}`));
       error.duration = duration;
       log.error("Error while mcp execution-> ", error)
       throw error;
@@ -242,6 +505,7 @@ class StatelessMCPRunner {
           if (value === 'false') {
             const error = new Error(`MCP Tool returned false`);
             error.duration = duration;
+            error.returnedFalse = true;
             throw error;
           }
         }
@@ -253,17 +517,23 @@ class StatelessMCPRunner {
 
   /**
    * Sends a request to the LLM for planning or execution reasoning.
+   * Rate limits, network errors and malformed responses are retried with
+   * exponential backoff (or the provider's Retry-After); when a provider
+   * still fails, the next fallback provider is asked. Every retry and
+   * fallback is logged and kept for the report.
    *
    * @param {Array<Object>} messages - Chat-style messages
    * @param {boolean} [includeTools=false] - Whether to include MCP tools
    * @returns {Promise<Object>} LLM message response
-   * @throws {Error} If API call fails
+   * @throws {Error} If every provider fails, or the test times out or is interrupted
    */
   async callLLM(messages, includeTools = false) {
     const requestConfig = {
-      model: this.llm,
       temperature: config.llm.temperature,
-      messages
+      // Secret values must never reach the LLM
+      messages: this.variables.redact(messages),
+      // Retries are done below, so that they are logged and reported
+      maxRetries: 0
     };
 
     // Only include tools if explicitly requested (not needed for planning)
@@ -271,20 +541,86 @@ class StatelessMCPRunner {
       requestConfig.tools = this.generateMCPTools();
     }
 
-    const { text, toolCalls, usage } = await generateText(requestConfig);
+    const testSignal = this.testAbort?.signal || null;
+    const chain = [{ provider: config.llm.provider, model: this.llm }, ...this.fallbackLLMs];
+    let lastError = null;
 
-    // ---- TOKEN LOGGING (PER FILE) ----
-    if (usage) {
-      console.log('🔍 Full Usage Object:', JSON.stringify(usage, null, 2));
-      log.info('📊 LLM Token Usage', {
-        prompt: usage.promptTokens,
-        completion: usage.completionTokens,
-        total: usage.totalTokens
-      });
+    for (const [index, { provider, model }] of chain.entries()) {
+      const label = `${provider} (${model.modelId})`;
+      if (index > 0) {
+        if (interruptSignal) throw lastError;
+        log.warn(`🔀 Falling back to ${label} after: ${lastError.message}`);
+        this.llmEvents.push({ type: 'fallback', provider, model: model.modelId, error: lastError.message, time: new Date() });
+      }
+
+      for (let retry = 0; ; retry++) {
+        try {
+          return await this.generateWithModel(model, requestConfig);
+        } catch (err) {
+          lastError = err;
+          // A timed-out test or an interrupted run ends the call at once
+          if (testSignal?.aborted || interruptSignal) throw err;
+          if (!isRetryableLLMError(err) || retry >= config.llm.retries) break;
+
+          const { delay, retryAfter } = getRetryDelay(err, retry, config.llm.retryDelay);
+          log.warn(`🔁 LLM call to ${label} failed: ${err.message}. Retry ${retry + 1}/${config.llm.retries} in ${delay}ms${retryAfter ? ' (Retry-After)' : ''}`);
+          this.llmEvents.push({ type: 'retry', provider, model: model.modelId, attempt: retry + 1, delay, error: err.message, time: new Date() });
+
+          try {
+            await sleep(delay, undefined, {
+              signal: testSignal ? AbortSignal.any([testSignal, interruptController.signal]) : interruptController.signal
+            });
+          } catch {
+            if (testSignal?.aborted) throw createTimeoutError(testSignal.reason.message, delay);
+            throw err;
+          }
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Makes a single LLM call with one model and adds its token usage to the test.
+   *
+   * @param {Object} model - Language model
+   * @param {Object} requestConfig - generateText() options without the model
+   * @returns {Promise<Object>} LLM message response
+   * @throws {Error} If the API call fails or times out
+   */
+  async generateWithModel(model, requestConfig) {
+    const testSignal = this.testAbort?.signal || null;
+    const timeout = createTimeoutSignal(config.runner.timeouts.llm, testSignal);
+    const start = Date.now();
+
+    let text, toolCalls, usage, response;
+    try {
+      ({ text, toolCalls, usage, response } = await generateText({ ...requestConfig, model, abortSignal: timeout.signal }));
+    } catch (err) {
+      if (testSignal?.aborted) {
+        throw createTimeoutError(testSignal.reason.message, Date.now() - start);
+      }
+      if (timeout.timedOut()) {
+        throw createTimeoutError(`LLM call timed out after ${config.runner.timeouts.llm}ms`, Date.now() - start);
+      }
+      throw err;
+    } finally {
+      timeout.clear();
     }
 
-    // Attach usage so caller (runner/report) can access it
-    const response = {
+    // ---- TOKEN ACCOUNTING (PER TEST) ----
+    // Replayed fixtures report the recorded model in the response
+    const price = prices[model.modelId] || prices[response?.modelId] || null;
+    addUsage(this.usage, usage, price);
+    addUsage(runUsage, usage, price);
+    log.info('📊 LLM Token Usage', {
+      input: usage?.inputTokens,
+      output: usage?.outputTokens,
+      total: usage?.totalTokens
+    });
+
+    return {
       content: text,
       tool_calls: toolCalls?.map(tc => ({
         id: tc.toolCallId,
@@ -293,11 +629,8 @@ class StatelessMCPRunner {
           name: tc.toolName,
           arguments: JSON.stringify(tc.args)
         }
-      })),
-      _usage: usage || null
+      }))
     };
-
-    return response;
   }
 
   /** 
@@ -352,6 +685,7 @@ Do NOT use "browser_run_code" for modal dialogs.
 - **Ids, classes are not refs keep in mind that. If you select any tool which requires ref then you have to extract proper ref from the sanpshot, otherwise
 it will throw illegitimate erros.
 - **If you are a old model and facing problem to extracts refs then use those tools which not demands ref as parameter.
+- **Placeholders:** Copy placeholders such as {{password}} or \${API_TOKEN} verbatim into params. They are replaced with the real values at execution time.
 
 ### 3. Step Classification
 - **Action:** If the step implies interaction (e.g., click, type, navigate, wait, scroll etc.), classify as \`isAssertion: false\`.
@@ -395,11 +729,13 @@ Analyze the ${stepCount} steps and generate the execution plan now.`;
 
   /**
    * Generates a structured execution plan using the LLM.
+   * Every entry is validated against the MCP tool input schemas; violations
+   * are sent back to the LLM for a bounded number of repair rounds.
    *
    * @param {string} testText - Raw test steps text
-   * @param {Array<string>} testSteps - Parsed step list
+   * @param {Array<Object>} testSteps - Steps from flattenSteps()
    * @returns {Promise<Array<Object>>} Execution plan
-   * @throws {Error} If plan JSON is invalid
+   * @throws {Error} If the plan is still invalid after the repair rounds
    */
   async generateExecutionPlan(testText, testSteps) {
     log.llm(`Chosen LLM provider -> ${config.llm.provider}`);
@@ -407,281 +743,1696 @@ Analyze the ${stepCount} steps and generate the execution plan now.`;
 
     const planningPrompt = this.buildPlanningPrompt(testText, testSteps.length);
 
-    const response = await this.callLLM([
+    const messages = [
       { role: 'system', content: planningPrompt },
       { role: 'user', content: 'Generate the complete execution plan as JSON array.' }
-    ]);
+    ];
 
-    // Extract JSON from response
-    let planJson = response.content;
+    let issues = [];
 
-    // Remove markdown code blocks if present
-    planJson = planJson.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    for (let round = 0; round <= config.runner.maxPlanRepairRounds; round++) {
+      const response = await this.callLLM(messages);
 
-    console.log("plan ==>" + planJson)
-    try {
-      const plan = JSON.parse(planJson);
-      log.success(`Generated plan with ${plan.length} steps`);
-      return plan;
-    } catch (err) {
-      log.error('Failed to parse execution plan', err.message);
-      throw new Error(`Invalid plan JSON: ${err.message}`);
+      let plan = null;
+      try {
+        plan = this.parseJsonResponse(response.content, 'plan');
+        issues = validatePlan(plan, this.mcpTools, testSteps.length);
+      } catch (err) {
+        log.error('Failed to parse execution plan', this.variables.redact(err.message));
+        issues = [{ entry: null, stepIndex: null, tool: null, errors: [err.message] }];
+      }
+
+      if (issues.length === 0) {
+        log.success(`Generated plan with ${plan.length} steps`);
+        return plan;
+      }
+
+      const report = formatValidationReport(issues);
+      log.warn(`Plan validation failed (round ${round + 1}):\n${this.variables.redact(report)}`);
+
+      // After an interrupt the run should stop, not spend more LLM calls on repairs
+      if (round === config.runner.maxPlanRepairRounds || interruptSignal) {
+        break;
+      }
+
+      log.llm('Asking LLM to repair the execution plan...');
+      messages.push(
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: `The execution plan has the following validation errors:\n${report}\n\nFix them and return the COMPLETE corrected execution plan as a JSON array.`
+        }
+      );
     }
+
+    throw new Error(`Execution plan failed validation:\n${formatValidationReport(issues)}`);
   }
 
   /**
-   * Executes a full test from planning through reporting.
+   * Returns the execution plan for a test, replaying the cached plan when the
+   * test text and MCP tool list are unchanged and re-planning otherwise.
    *
-   * @param {string} testText - Full test file content
-   * @param {string} testName - Test name
-   * @returns {Promise<Object>} Final test results
-   * @throws {Error} If test fails
+   * @param {string} testText - Raw test steps text
+   * @param {Array<Object>} testSteps - Steps from flattenSteps()
+   * @param {string} testName - Test name, used as the cache entry name
+   * @returns {Promise<Array<Object>>} Execution plan
+   * @throws {Error} If the plan is frozen but missing or stale, or planning fails
    */
-  async runTest(testText, testName) {
-    log.info(`🧪 Starting test: ${testName}`);
-
-    this.testReport = {
-      testName,
-      testText,
-      startTime: new Date(),
-      endTime: null,
-      actions: [],
-      passedActions: 0,
-      failedActions: 0,
-      totalActions: 0,
-      testResult: 'running'
-    };
-
-    const testSteps = testText
-      .split('\n')
-      .filter(l => l.trim().startsWith('-'));
+  async resolveExecutionPlan(testText, testSteps, testName) {
+    const key = this.planCache.computeKey(testText, this.mcpTools);
+    const refresh = config.runner.planCache === 'refresh' && !refreshedPlans.has(testName);
+    const cached = refresh ? null : this.planCache.load(testName);
+
+    if (cached && cached.key === key) {
+      log.info(`♻️  Replaying cached plan for ${testName} (${cached.plan.length} steps, created ${cached.createdAt})`);
+      this.testReport.planSource = 'cache';
+      return cached.plan;
+    }
 
-    // Generate complete plan
-    const executionPlan = await this.generateExecutionPlan(testText, testSteps);
+    if (config.runner.planCache === 'frozen') {
+      throw new Error(cached
+        ? `Cached plan for ${testName} is stale (test or MCP tools changed) and --frozen-plan forbids re-planning`
+        : `No cached plan for ${testName} and --frozen-plan forbids re-planning`);
+    }
 
-    // Execute plan sequentially without additional LLM calls
-    for (let i = 0; i < executionPlan.length; i++) {
-      const step = executionPlan[i];
-      const originalStep = testSteps[step.stepIndex - 1] || testSteps[i];
+    if (cached) {
+      log.info(`Test or MCP tools changed since ${cached.createdAt}, re-planning ${testName}`);
+    }
 
-      log.info(`\n📍 Step ${i + 1}/${executionPlan.length}: ${originalStep.trim()}`);
+    const plan = await this.generateExecutionPlan(testText, testSteps);
+    const cacheFile = this.planCache.save(testName, key, plan);
+    refreshedPlans.add(testName);
+    log.info(`💾 Plan cached: ${cacheFile}`);
+    this.testReport.planSource = 'llm';
 
+    return plan;
+  }
 
-      const toolName = step.tool.replace(/^mcp_/, '');
+  /**
+   * Captures the accessibility snapshot of the current page as plain text.
+   *
+   * @returns {Promise<string>} Snapshot text, truncated to keep prompts bounded
+   * @throws {Error} If the snapshot tool fails
+   */
+  async snapshotPage() {
+    const { result } = await this.executeMCP('browser_snapshot', {});
 
-      try {
-        const { result, duration } = await this.executeMCP(toolName, step.params);
-        const screenshotPath = this.extractScreenshotPath(result);
+    return (result.content || [])
+      .filter(c => c.type === 'text')
+      .map(c => c.text)
+      .join('\n')
+      .substring(0, 30000);
+  }
 
+  /**
+   * Parses a JSON payload returned by the LLM, tolerating markdown code fences.
+   *
+   * @param {string} content - Raw LLM response text
+   * @param {string} label - What is being parsed, used in error messages
+   * @returns {*} Parsed JSON value
+   * @throws {Error} If the content is not valid JSON
+   */
+  parseJsonResponse(content, label) {
+    const json = (content || '')
+      .replace(/```json\n?/g, '')
+      .replace(/```\n?/g, '')
+      .trim();
 
-        this.recordAction({
-          tool: `mcp_${step.tool}`,
-          params: step.params,
-          status: 'passed',
-          assertion: step.isAssertion || false,
-          duration,
-          screenshot: screenshotPath
-        });
+    try {
+      return JSON.parse(json);
+    } catch (err) {
+      throw new Error(`Invalid ${label} JSON: ${err.message}`);
+    }
+  }
 
+  /**
+   * Builds the prompt used in live mode to plan a single step against
+   * the page as it currently is.
+   *
+   * @param {string} testText - Full test definition, for context
+   * @param {string} stepText - Step to plan
+   * @param {number} stepIndex - 1-based index of the step
+   * @param {string} snapshot - Current page snapshot text
+   * @returns {string} Step planning prompt
+   */
+  buildStepPlanningPrompt(testText, stepText, stepIndex, snapshot) {
+    const toolsInfo = Array.from(this.mcpTools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      schema: tool.inputSchema
+    }));
 
-        log.success(`✓ Step ${i + 1} passed${step.isAssertion ? ' (assertion)' : ''}`);
+    return `You are an intelligent Test Automation Planner. You plan ONE test step at a time against the live page, which is described by the snapshot below.
 
-      } catch (err) {
-        log.error(`✗ Step ${i + 1} failed`, err.message);
+## AVAILABLE TOOLS
+${JSON.stringify(toolsInfo, null, 2)}
 
-        this.recordAction({
-          tool: `mcp_${step.tool}`,
-          params: step.params,
-          status: 'failed',
-          assertion: step.isAssertion || false,
-          error: err.message,
-          duration: err.duration || 0
-        });
-      }
-    }
+## FULL TEST (for context only)
+${testText}
 
-    this.testReport.endTime = new Date();
-    this.testReport.actions = this.testResults.actions;
-    this.testReport.passedActions = this.testResults.passed;
-    this.testReport.failedActions = this.testResults.failed;
-    this.testReport.totalActions = this.testResults.actions.length;
-    this.testReport.testResult =
-      this.testResults.failed === 0 ? 'pass' : 'fail';
+## STEP TO PLAN (step ${stepIndex})
+${stepText}
 
-    const report = this.reportGenerator.generateReport(this.testReport);
-    log.success(`📊 HTML Report: ${report.htmlReport}`);
+## CURRENT PAGE SNAPSHOT
+${snapshot}
 
-    if (this.testResults.failed > 0) {
-      throw new Error('Test failed');
-    }
+## RULES
+- Plan only the step above. Do not plan earlier or later steps.
+- You must ONLY use tools listed in "AVAILABLE TOOLS".
+- Refs MUST be taken from the snapshot above. Ids and classes are not refs.
+- Params must strictly follow the schema of the chosen tool.
+- For alerts, confirms or prompts you MUST use the "browser_handle_dialog" tool.
+- If the step implies verification (verify, check, ensure, validate, confirm), set "isAssertion" to true.
+- Code params must be a function definition such as "() => { return true; }", never an invoked function.
+- Copy placeholders such as {{password}} or \${API_TOKEN} verbatim into params, they are replaced at execution time.
 
-    return this.testResults;
+## OUTPUT FORMAT
+Return a SINGLE VALID JSON OBJECT without markdown or explanatory text:
+{
+  "stepIndex": ${stepIndex},
+  "tool": "<EXACT_TOOL_NAME_FROM_LIST>",
+  "params": <OBJECT_MATCHING_TOOL_SCHEMA>,
+  "isAssertion": <boolean>,
+  "description": "<BRIEF_RATIONALE>"
+}`;
   }
 
   /**
-   * Shuts down MCP connections and releases resources.
+   * Plans a single step against a fresh snapshot of the current page (live mode).
    *
-   * @returns {Promise<void>}
+   * @param {string} testText - Full test definition
+   * @param {string} stepText - Step to plan
+   * @param {number} stepIndex - 1-based index of the step
+   * @returns {Promise<Object>} Plan entry for the step
+   * @throws {Error} If the snapshot or the LLM response is unusable
    */
-  async cleanup() {
-    if (this.mcpClient) {
-      await this.mcpClient.close();
-      log.info('MCP connection closed');
-    }
-  }
-}
-
-/**
- * Recursively finds all .yml and .yaml files in a directory
- * 
- * @param {string} dirPath - Directory path to scan
- * @returns {Array<string>} Array of absolute file paths
- */
-function getTestFiles(dirPath) {
-  const testFiles = [];
-
-  if (!fs.existsSync(dirPath)) {
-    throw new Error(`Path does not exist: ${dirPath}`);
-  }
+  async planLiveStep(testText, stepText, stepIndex) {
+    log.llm(`Planning step ${stepIndex} against live page...`);
 
-  const stats = fs.statSync(dirPath);
+    const snapshot = await this.snapshotPage();
 
-  // If it's a file, return it directly
-  if (stats.isFile()) {
-    if (dirPath.endsWith('.yml') || dirPath.endsWith('.yaml')) {
-      return [path.resolve(dirPath)];
-    }
-    throw new Error(`File must be a .yml or .yaml file: ${dirPath}`);
-  }
+    const response = await this.callLLM([
+      { role: 'system', content: this.buildStepPlanningPrompt(testText, stepText, stepIndex, snapshot) },
+      { role: 'user', content: 'Plan this step as a JSON object.' }
+    ]);
 
-  // If it's a directory, scan for test files
-  if (stats.isDirectory()) {
-    const files = fs.readdirSync(dirPath);
+    const planned = this.parseJsonResponse(response.content, 'step plan');
 
-    for (const file of files) {
-      const fullPath = path.join(dirPath, file);
-      const fileStats = fs.statSync(fullPath);
+    const step = {
+      stepIndex,
+      tool: planned?.tool,
+      params: planned?.params || {},
+      isAssertion: planned?.isAssertion || false,
+      description: planned?.description || ''
+    };
 
-      if (fileStats.isFile() && (file.endsWith('.yml') || file.endsWith('.yaml'))) {
-        testFiles.push(path.resolve(fullPath));
-      }
+    const errors = validatePlanEntry(step, this.mcpTools, stepIndex);
+    if (errors.length > 0) {
+      throw new Error(`Step plan failed validation: ${errors.join('; ')}`);
     }
 
-    return testFiles.sort(); // Sort alphabetically
+    return step;
   }
 
-  return testFiles;
-}
+  /**
+   * Builds the prompt used to repair a failed plan step.
+   * The LLM receives the failing step, what was tried, the error and the
+   * current accessibility snapshot so it can pick real refs.
+   *
+   * @param {string} stepText - Original natural-language step
+   * @param {Object} failedStep - Plan entry that failed
+   * @param {string} errorMessage - Error raised by the MCP tool
+   * @param {string} snapshot - Current page snapshot text
+   * @returns {string} Repair prompt
+   */
+  buildRepairPrompt(stepText, failedStep, errorMessage, snapshot) {
+    const toolsInfo = Array.from(this.mcpTools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      schema: tool.inputSchema
+    }));
 
-// ---------- MAIN EXECUTION ----------
-async function main() {
-  const testPath = process.argv[2];
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY is not set. This must be provided by Drupal or the shell.');
-    process.exit(1);
-  }
+    const toolRule = failedStep.isAssertion
+      ? `- This step is an assertion: keep the tool ${failedStep.tool} and every param except the element refs (${ELEMENT_PARAMS.filter(name => name in (failedStep.params || {})).join(', ') || 'none'}), so the expected values stay the same.`
+      : '- You may pick a different tool if it fits the step better.';
 
-  if (!testPath) {
-    console.error('Usage: node direct_mcp_stateless.js <test.yml | tests-folder>');
-    console.error('Examples:');
-    console.error('  node direct_mcp_stateless.js tests/test1.yml');
-    console.error('  node direct_mcp_stateless.js tests/');
-    process.exit(1);
-  }
+    return `You are repairing a single failed step of a browser test. The step was planned before the page was loaded, so its refs or selectors may be stale or guessed.
 
-  let testFiles;
-  try {
-    testFiles = getTestFiles(testPath);
-  } catch (err) {
-    log.error('Failed to load test files', err.message);
-    process.exit(1);
-  }
+## AVAILABLE TOOLS
+${JSON.stringify(toolsInfo, null, 2)}
 
-  if (testFiles.length === 0) {
-    log.error('No test files found in the specified path');
-    process.exit(1);
-  }
+## TEST STEP
+${stepText}
 
-  log.info(`Found ${testFiles.length} test file(s) to execute`);
+## FAILED ATTEMPT
+Tool: ${failedStep.tool}
+Params: ${JSON.stringify(failedStep.params)}
+Error: ${errorMessage}
 
-  const allResults = [];
-  let totalPassed = 0;
-  let totalFailed = 0;
+## CURRENT PAGE SNAPSHOT
+${snapshot}
 
-  for (let i = 0; i < testFiles.length; i++) {
-    const testFile = testFiles[i];
-    const testName = path.basename(testFile);
+## RULES
+- Fulfil the same test step, do not change its intent.
+- Refs MUST be taken from the snapshot above. Ids and classes are not refs.
+${toolRule}
+- Params must strictly follow the schema of the chosen tool.
+- Copy placeholders such as {{password}} or \${API_TOKEN} verbatim into params, they are replaced at execution time.
 
-    log.info(`\n${'='.repeat(60)}`);
-    log.info(`Executing test ${i + 1}/${testFiles.length}: ${testName}`);
-    log.info(`${'='.repeat(60)}\n`);
+## OUTPUT FORMAT
+Return a SINGLE VALID JSON OBJECT without markdown or explanatory text:
+{
+  "tool": "<EXACT_TOOL_NAME_FROM_LIST>",
+  "params": <OBJECT_MATCHING_TOOL_SCHEMA>,
+  "isAssertion": <boolean>,
+  "description": "<BRIEF_RATIONALE>"
+}`;
+  }
 
-    const runner = new StatelessMCPRunner();
+  /**
+   * Asks the LLM for a corrected version of a failed plan step,
+   * based on a fresh snapshot of the current page.
+   * An assertion keeps its tool and expected values; only its element refs
+   * are refreshed, so a repair can never change what it checks.
+   *
+   * @param {string} stepText - Original natural-language step
+   * @param {Object} failedStep - Plan entry that failed
+   * @param {Error} err - Error raised by the failed attempt
+   * @returns {Promise<Object>} Corrected plan entry
+   * @throws {Error} If the snapshot or the LLM response is unusable
+   */
+  async repairStep(stepText, failedStep, err) {
+    log.llm(`Repairing step: ${stepText.trim()}`);
 
-    try {
-      await runner.initializeMCP();
-      const result = await runner.runTest(
-        fs.readFileSync(testFile, 'utf8'),
-        testName
-      );
+    const snapshot = await this.snapshotPage();
 
-      allResults.push({
-        testName,
-        status: 'PASSED',
-        passed: result.passed,
-        failed: result.failed
-      });
+    const response = await this.callLLM([
+      { role: 'system', content: this.buildRepairPrompt(stepText, failedStep, err.message, snapshot) },
+      { role: 'user', content: 'Return the corrected step as a JSON object.' }
+    ]);
 
-      totalPassed++;
-      log.success(`✅ Test PASSED: ${testName}\n`);
+    const repaired = this.parseJsonResponse(response.content, 'repair');
 
-    } catch (err) {
-      allResults.push({
-        testName,
-        status: 'FAILED',
-        error: err.message
-      });
+    if (!repaired || typeof repaired.tool !== 'string') {
+      throw new Error('Repair response does not contain a tool');
+    }
 
-      totalFailed++;
-      log.error(`❌ Test FAILED: ${testName}`, err.message + '\n');
+    let repairedStep;
+    if (failedStep.isAssertion) {
+      const params = Object.fromEntries(Object.entries(failedStep.params || {}).map(([name, value]) => (
+        ELEMENT_PARAMS.includes(name) && repaired.params?.[name] !== undefined ? [name, repaired.params[name]] : [name, value]
+      )));
+      if (JSON.stringify(params) === JSON.stringify(failedStep.params || {})) {
+        throw new Error('Repair of an assertion may only refresh element refs, and none changed');
+      }
+      repairedStep = { ...failedStep, params };
+    } else {
+      repairedStep = {
+        ...failedStep,
+        tool: repaired.tool,
+        params: repaired.params || {},
+        isAssertion: repaired.isAssertion ?? failedStep.isAssertion,
+        description: repaired.description || failedStep.description
+      };
+    }
 
-    } finally {
-      await runner.cleanup();
+    const errors = validatePlanEntry(repairedStep, this.mcpTools, repairedStep.stepIndex);
+    if (errors.length > 0) {
+      throw new Error(`Repaired step failed validation: ${errors.join('; ')}`);
     }
-  }
 
-  // Print summary
-  log.info(`\n${'='.repeat(60)}`);
-  log.info('TEST SUITE SUMMARY');
-  log.info(`${'='.repeat(60)}`);
-  log.info(`Total Tests: ${testFiles.length}`);
-  log.success(`Passed: ${totalPassed}`);
-  if (totalFailed > 0) {
-    log.error(`Failed: ${totalFailed}`, '');
+    return repairedStep;
   }
-  log.info(`${'='.repeat(60)}\n`);
 
-  // Print individual results
-  allResults.forEach((result, idx) => {
-    const status = result.status === 'PASSED' ? '✅' : '❌';
-    console.log(`${status} ${idx + 1}. ${result.testName} - ${result.status}`);
-    if (result.error) {
-      console.log(`   Error: ${result.error}`);
-    }
-  });
+  /**
+   * Executes one plan entry, self-healing it through {@link repairStep}
+   * when it fails, and records the outcome.
+   *
+   * @param {Object} step - Plan entry to execute
+   * @param {string} originalStep - Natural-language step the entry implements
+   * @param {string} label - Step label used in log output, e.g. "3/7"
+   * @param {string} [phase='steps'] - Test section the step belongs to (setup, steps, teardown or a hook)
+   * @param {Array<string>|null} [source=null] - "file:line" frames the step came from
+   * @returns {Promise<Object>} The recorded action
+   */
+  async executeStep(step, originalStep, label, phase = 'steps', source = null) {
+    const attempts = [];
+    let currentStep = step;
+
+    for (let attempt = 0; attempt <= config.runner.maxRepairAttempts; attempt++) {
+      const toolName = currentStep.tool.replace(/^mcp_/, '');
+
+      try {
+        const { result, duration } = await this.executeMCP(toolName, currentStep.params);
+        const screenshotPath = this.extractScreenshotPath(result);
+
+        const action = this.recordAction({
+          tool: `mcp_${toolName}`,
+          params: currentStep.params,
+          status: 'passed',
+          assertion: currentStep.isAssertion || false,
+          duration,
+          screenshot: screenshotPath,
+          attempts,
+          phase,
+          step: originalStep.trim(),
+          source
+        });
+
+        log.success(`✓ Step ${label} passed${currentStep.isAssertion ? ' (assertion)' : ''}${attempts.length ? ` after ${attempts.length} repair(s)` : ''}`);
+        return action;
+
+      } catch (err) {
+        log.error(`✗ Step ${label} failed (attempt ${attempt + 1})`, err.message);
+
+        const failure = {
+          tool: `mcp_${toolName}`,
+          params: currentStep.params,
+          error: err.message,
+          duration: err.duration || 0
+        };
+
+        // A timed-out call leaves the browser in an unknown state, don't try to repair it;
+        // after an interrupt the run should stop, not spend more LLM calls.
+        // An assertion that ran and returned false is a real failure: repairing it could turn it green
+        const assertionFailed = currentStep.isAssertion && err.returnedFalse;
+        let repairError = null;
+        if (attempt < config.runner.maxRepairAttempts && !err.timedOut && !interruptSignal && !assertionFailed) {
+          try {
+            currentStep = await this.repairStep(originalStep, currentStep, err);
+            attempts.push(failure);
+            continue;
+          } catch (repairErr) {
+            repairError = repairErr;
+            log.warn(`Repair of step ${label} failed: ${repairErr.message}`);
+          }
+        }
+
+        return this.recordAction({
+          ...failure,
+          status: 'failed',
+          assertion: currentStep.isAssertion || false,
+          error: repairError ? `${err.message} (repair failed: ${repairError.message})` : err.message,
+          attempts,
+          phase,
+          step: originalStep.trim(),
+          source
+        });
+      }
+    }
+  }
+
+  /**
+   * Plans (in live mode) and executes one work item of a test.
+   *
+   * @param {Object} item - Work item
+   * @param {Object|null} item.entry - Plan entry, or null to plan it live
+   * @param {Object} item.stepInfo - Step from flattenSteps()
+   * @param {string} label - Step label used in log output, e.g. "3/7"
+   * @param {string} testText - Planner text of the whole test
+   * @returns {Promise<Object>} The recorded action
+   */
+  async runStep({ entry, stepInfo }, label, testText) {
+    const phaseLabel = stepInfo.phase === 'steps' ? '' : ` [${stepInfo.phase}]`;
+    // Steps from a step library say where they were written
+    const sourceLabel = stepInfo.source?.length > 1 ? ` (${stepInfo.source[0]})` : '';
+    log.info(`\n📍 Step ${label}${phaseLabel}: ${stepInfo.text.trim()}${sourceLabel}`);
+
+    let step = entry;
+    if (!step) {
+      try {
+        step = await this.planLiveStep(testText, stepInfo.text, stepInfo.index);
+      } catch (err) {
+        log.error(`✗ Step ${label} could not be planned`, err.message);
+        return this.recordAction({
+          tool: 'mcp_plan',
+          params: { step: stepInfo.text.trim() },
+          status: 'failed',
+          error: err.message,
+          duration: 0,
+          phase: stepInfo.phase,
+          step: stepInfo.text.trim(),
+          source: stepInfo.source
+        });
+      }
+    }
+
+    return this.executeStep(step, stepInfo.text, label, stepInfo.phase, stepInfo.source);
+  }
+
+  /**
+   * Decides, after a failed step, whether the remaining steps should be skipped.
+   * A failed setup (or beforeAll/beforeEach hook) step always stops the test,
+   * since every later step depends on it.
+   *
+   * @param {Object} action - Recorded action of the failed step
+   * @returns {string|null} Reason for skipping, or null to continue
+   */
+  getStopReason(action) {
+    if (SETUP_SECTIONS.includes(action.phase)) {
+      return `${action.phase} step failed`;
+    }
+    if (config.runner.failurePolicy === 'stop-test') {
+      return 'an earlier step failed';
+    }
+    if (config.runner.failurePolicy === 'stop-on-assertion' && action.assertion) {
+      return 'an earlier assertion failed';
+    }
+    return null;
+  }
+
+  /**
+   * Returns why no further step can run at all, independent of the failure policy.
+   *
+   * @returns {string|null} Reason, or null if steps can still run
+   */
+  getAbortReason() {
+    if (interruptSignal) {
+      return `interrupted by ${interruptSignal}`;
+    }
+    if (this.testAbort?.signal.aborted) {
+      return this.testAbort.signal.reason.message.toLowerCase();
+    }
+    if (this.mcpTimedOut) {
+      return 'MCP server is being torn down after a tool timeout';
+    }
+    return null;
+  }
+
+  /**
+   * Records a work item as skipped without executing it.
+   *
+   * @param {Object} item - Work item ({ entry, stepInfo })
+   * @param {string} label - Step label used in log output, e.g. "3/7"
+   * @param {string} reason - Why the step is skipped
+   * @returns {Object} The recorded action
+   */
+  skipStep({ entry, stepInfo }, label, reason) {
+    log.warn(`⏭️  Step ${label} skipped (${reason}): ${stepInfo.text.trim()}`);
+
+    return this.recordAction({
+      tool: entry ? `mcp_${entry.tool.replace(/^mcp_/, '')}` : 'mcp_plan',
+      params: entry ? entry.params : { step: stepInfo.text.trim() },
+      status: 'skipped',
+      assertion: entry?.isAssertion || false,
+      error: `Skipped: ${reason}`,
+      duration: 0,
+      phase: stepInfo.phase,
+      step: stepInfo.text.trim(),
+      source: stepInfo.source
+    });
+  }
+
+  /**
+   * Executes a full test from planning through reporting, bounded by the
+   * per-test timeout. After a timeout the MCP server is torn down so the
+   * next test file starts from a clean state.
+   *
+   * @param {Object} test - Test definition from parseTestFile()
+   * @param {string} testName - Test path relative to the working directory, used as the plan cache entry name
+   * @returns {Promise<Object>} Final test results
+   * @throws {Error} If test fails or times out
+   */
+  async runTest(test, testName) {
+    this.testAbort = new AbortController();
+    this.mcpTimedOut = false;
+
+    const testTimeout = config.runner.timeouts.test;
+    const timer = testTimeout > 0
+      ? setTimeout(() => {
+        log.error(`⏱️  Test timed out after ${testTimeout}ms, cancelling pending requests`);
+        this.testAbort.abort(new Error(`Test timed out after ${testTimeout}ms`));
+      }, testTimeout)
+      : null;
+
+    try {
+      return await this.executeTest(test, testName);
+    } finally {
+      clearTimeout(timer);
+      const abortReason = this.getAbortReason();
+      if (abortReason) {
+        log.warn(`Tearing down MCP server (${abortReason})`);
+        await this.cleanup();
+      }
+    }
+  }
+
+  /**
+   * Resolves the variables of a test and renders the text sent to the planner.
+   * Example columns stay placeholders in the step text, so all rows share one plan.
+   *
+   * @param {Object} test - Test definition from parseTestFile()
+   * @returns {{test: Object, testText: string, testSteps: Array<Object>}}
+   * @throws {Error} If a placeholder cannot be resolved
+   */
+  prepareTest(test) {
+    this.variables = new VariableContext({
+      variables: { ...test.variables, ...this.example?.values },
+      secrets: [...config.runner.secrets, ...test.secrets],
+      deferred: exampleColumns(test.examples),
+      envFile: loadEnvFile(config.runner.envFile)
+    });
+    test = interpolateTest(test, this.variables);
+
+    return { test, testText: renderTestText(test), testSteps: flattenSteps(test) };
+  }
+
+  /**
+   * Produces and validates the execution plan of a test without executing
+   * it, replaying the cached plan when it is still valid (--dry-run).
+   * Secret and example placeholders are left unresolved in the params.
+   *
+   * @param {Object} test - Test definition from parseTestFile()
+   * @param {string} testName - Test path relative to the working directory, used as the plan cache entry name
+   * @returns {Promise<{planSource: string, steps: Array<Object>}>} Plan entries with their step text and phase
+   * @throws {Error} If planning fails or the plan is invalid
+   */
+  async planTest(test, testName) {
+    const { testText, testSteps } = this.prepareTest(test);
+    this.testReport = { planSource: null };
+
+    const plan = await this.resolveExecutionPlan(testText, testSteps, testName);
+
+    // Cached plans are replayed without validation, so check them here too
+    const issues = validatePlan(plan, this.mcpTools, testSteps.length);
+    if (issues.length > 0) {
+      throw new Error(`Execution plan failed validation:\n${formatValidationReport(issues)}`);
+    }
+
+    return {
+      planSource: this.testReport.planSource,
+      steps: plan.map(entry => {
+        const stepInfo = testSteps[entry.stepIndex - 1];
+        return {
+          stepIndex: entry.stepIndex,
+          phase: stepInfo?.phase ?? null,
+          step: stepInfo?.text ?? null,
+          source: stepInfo?.source ?? null,
+          tool: entry.tool,
+          params: entry.params,
+          assertion: Boolean(entry.isAssertion),
+          description: entry.description ?? null
+        };
+      })
+    };
+  }
+
+  /**
+   * Plans and executes the steps of a test, then writes the report.
+   * After a failure the remaining steps run or are skipped according to
+   * the failure policy; teardown and afterEach/afterAll steps always run
+   * unless the test timed out or the run was interrupted, in which case they
+   * are reported as not run.
+   *
+   * @param {Object} test - Test definition from parseTestFile()
+   * @param {string} testName - Test path relative to the working directory, used as the plan cache entry name
+   * @returns {Promise<Object>} Final test results
+   * @throws {Error} If test fails
+   */
+  async executeTest(test, testName) {
+    log.info(`🧪 Starting test: ${test.name}${this.example ? ` [${this.example.name}]` : ''}`);
+
+    const prepared = this.prepareTest(test);
+    test = prepared.test;
+    const { testText, testSteps } = prepared;
+
+    this.testReport = this.createTestReport(test, testText);
+
+    let items;
+    if (config.runner.mode === 'live') {
+      // Each step is planned against the current page right before it runs
+      items = testSteps.map(stepInfo => ({ entry: null, stepInfo }));
+    } else {
+      // Generate complete plan (or replay it from the cache)
+      const executionPlan = await this.resolveExecutionPlan(testText, testSteps, testName);
+      items = executionPlan.map((entry, i) => ({
+        entry,
+        stepInfo: testSteps[entry.stepIndex - 1] || testSteps[i] || { index: i + 1, phase: 'steps', text: entry.description || entry.tool }
+      }));
+    }
+
+    const mainItems = items.filter(item => !TEARDOWN_SECTIONS.includes(item.stepInfo.phase));
+    const teardownItems = items.filter(item => TEARDOWN_SECTIONS.includes(item.stepInfo.phase));
+    let position = 0;
+
+    let stopReason = null;
+
+    try {
+      for (const item of mainItems) {
+        const label = `${++position}/${items.length}`;
+        const skipReason = this.getAbortReason() || stopReason;
+
+        if (skipReason) {
+          this.skipStep(item, label, skipReason);
+          continue;
+        }
+
+        const action = await this.runStep(item, label, testText);
+        if (action.status === 'failed') {
+          stopReason = this.getStopReason(action);
+        }
+      }
+
+      // Save the session before teardown, which may log out again
+      if (test.saveSession && this.testResults.failed === 0 && !this.getAbortReason()) {
+        await this.saveSession(test.saveSession);
+      }
+    } finally {
+      for (const item of teardownItems) {
+        const label = `${++position}/${items.length}`;
+        const abortReason = this.getAbortReason();
+
+        if (abortReason) {
+          this.skipStep(item, label, abortReason);
+          continue;
+        }
+
+        await this.runStep(item, label, testText);
+      }
+    }
+
+    this.writeReport();
+
+    if (interruptSignal) {
+      throw new Error(`Test interrupted by ${interruptSignal}`);
+    }
+    if (this.testResults.failed > 0) {
+      const abortReason = this.getAbortReason();
+      throw new Error(abortReason ? `Test failed (${abortReason})` : 'Test failed');
+    }
+
+    return this.testResults;
+  }
+
+  /**
+   * Creates the report data of a test, filled in as its steps run.
+   *
+   * @param {Object} test - Test definition (name, description, tags)
+   * @param {string} testText - Planner text of the test
+   * @returns {Object} Report data for TestReportGenerator
+   */
+  createTestReport(test, testText) {
+    return {
+      testName: this.example ? `${test.name} [${this.example.name}]` : test.name,
+      testText,
+      description: test.description,
+      tags: test.tags,
+      browser: this.browser,
+      device: this.device ? describeDevice(this.device) : null,
+      example: this.example,
+      startTime: new Date(),
+      endTime: null,
+      actions: [],
+      passedActions: 0,
+      failedActions: 0,
+      skippedActions: 0,
+      totalActions: 0,
+      testResult: 'running',
+      planSource: config.runner.mode === 'live' ? 'live' : null,
+      attempt: this.previousAttempts.length + 1,
+      previousAttempts: this.previousAttempts
+    };
+  }
+
+  /**
+   * Completes the report data with the recorded actions and writes the HTML report.
+   */
+  writeReport() {
+    this.testReport.endTime = new Date();
+    this.testReport.actions = this.testResults.actions;
+    this.testReport.passedActions = this.testResults.passed;
+    this.testReport.failedActions = this.testResults.failed;
+    this.testReport.skippedActions = this.testResults.skipped;
+    this.testReport.totalActions = this.testResults.actions.length;
+    this.testReport.llmUsage = this.usage;
+    this.testReport.llmEvents = this.llmEvents;
+    this.testReport.testResult =
+      this.testResults.failed === 0 ? 'pass' : 'fail';
+    this.testReport.interrupted = interruptSignal;
+
+    const report = this.reportGenerator.generateReport(this.testReport);
+    this.reportFile = report.htmlReport;
+    log.success(`📊 HTML Report: ${report.htmlReport}`);
+  }
+
+  /**
+   * Writes the report of a test that failed before its steps ran, e.g.
+   * because the test file or its execution plan failed validation. The
+   * error, such as the per-step validation report, is its only action.
+   *
+   * @param {string} testName - Test path, names the report when the test file could not be read
+   * @param {Error} err - Error that stopped the test
+   */
+  writeFailureReport(testName, err) {
+    this.testReport ??= this.createTestReport({ name: testName, description: null, tags: [] }, '');
+    this.recordAction({
+      tool: 'mcp_plan',
+      params: {},
+      status: 'failed',
+      error: err.message,
+      duration: 0,
+      step: 'Validate and plan the test'
+    });
+    this.writeReport();
+  }
+
+  /**
+   * Saves the browser storage state (cookies, localStorage) under a session
+   * name, recorded as an action of the test.
+   *
+   * @param {string} name - Session name
+   * @returns {Promise<Object>} Recorded action
+   */
+  async saveSession(name) {
+    const stateFile = this.sessionStore.getStateFile(name);
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    const params = { filename: stateFile };
+    const step = `Save session "${name}"`;
+
+    try {
+      const { duration } = await this.executeMCP('browser_storage_state', params);
+      log.success(`🔐 Session "${name}" saved to ${stateFile}`);
+      return this.recordAction({ tool: 'mcp_browser_storage_state', params, status: 'passed', duration, step });
+    } catch (err) {
+      log.error(`Failed to save session "${name}"`, err.message);
+      return this.recordAction({ tool: 'mcp_browser_storage_state', params, status: 'failed', error: err.message, duration: err.duration || 0, step });
+    }
+  }
+
+  /**
+   * Shuts down MCP connections and releases resources.
+   *
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    if (this.mcpClient) {
+      const client = this.mcpClient;
+      this.mcpClient = null;
+      await client.close();
+      log.info('MCP connection closed');
+    }
+  }
+}
+
+// ---------- MAIN EXECUTION ----------
+// Settings flags have no parseArgs default, so an absent flag leaves the
+// value from the config file or environment in place
+const cliOptions = {
+  help: { type: 'boolean', short: 'h', default: false },
+  config: { type: 'string' },
+  'print-config': { type: 'boolean', default: false },
+  ...Object.fromEntries(SETTINGS.filter(setting => setting.flag).map(setting => [
+    setting.flag,
+    { type: setting.type === 'boolean' ? 'boolean' : 'string' }
+  ])),
+  // --no-<flag> turns off a boolean setting enabled in the config file or environment
+  ...Object.fromEntries(SETTINGS.filter(setting => setting.flag && setting.type === 'boolean').map(setting => [
+    `no-${setting.flag}`,
+    { type: 'boolean' }
+  ])),
+  'refresh-plan': { type: 'boolean', default: false },
+  'frozen-plan': { type: 'boolean', default: false },
+  'refresh-sessions': { type: 'boolean', default: false },
+  grep: { type: 'string' },
+  tag: { type: 'string', multiple: true, default: [] },
+  'exclude-tag': { type: 'string', multiple: true, default: [] },
+  list: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  suite: { type: 'string' }
+};
+
+/**
+ * Serializes parsed CLI values back into arguments, skipping defaults.
+ * Used to pass the run options on to worker processes.
+ *
+ * @param {Object} values - Parsed CLI values
+ * @param {Array<string>} [exclude] - Option names not to forward
+ * @returns {Array<string>} CLI arguments
+ */
+function toCliArgs(values, exclude = []) {
+  return Object.entries(values)
+    .filter(([name, value]) => !exclude.includes(name) && value !== cliOptions[name]?.default)
+    .flatMap(([name, value]) => [].concat(value).map(item => (item === true ? `--${name}` : `--${name}=${item}`)));
+}
+
+/**
+ * Prints the command-line help.
+ *
+ * @param {Object} [stream=process.stdout] - Stream to write to
+ */
+function printUsage(stream = process.stdout) {
+  stream.write(`Usage: node direct_mcp_stateless.js <test.yml | tests-folder | glob>... [options]
+
+Settings are read from the defaults, then ${DEFAULT_CONFIG_FILE}, then environment variables, then these flags.
+
+Configuration:
+  --config <file>               Config file (default: ${DEFAULT_CONFIG_FILE}, if present)
+  --print-config                Print the resolved settings and where each came from, then exit
+
+Browser:
+  --headless                    Run the browser without a window
+  --no-headless                 Show the browser window, even if headless is set in the config file or MCP_HEADLESS
+  --browser <name>              ${BROWSERS.join(' | ')} (default: ${config.browser.name})
+  --browsers <list>             Run every test in each of these browsers, comma-separated
+                                (default: the test's "browsers" list, else --browser)
+  --devices <list>              Run every test on each of these devices, comma-separated: mobile, tablet,
+                                desktop, a Playwright device name or WIDTHxHEIGHT (default: the test's "devices" list)
+  --viewport <WxH>              Viewport size (default: ${config.browser.viewport.width}x${config.browser.viewport.height})
+
+LLM:
+  --provider <name>             ${PROVIDERS.join(' | ')} (default: ${config.llm.provider})
+  --model <id>                  Model id (default: ${Object.entries(DEFAULT_MODELS).map(([name, model]) => `${model} for ${name}`).join(', ')};
+                                required for openai-compatible)
+  --base-url <url>              Endpoint of the openai-compatible provider, e.g. http://localhost:11434/v1
+  --record-provider <name>      ${LIVE_PROVIDERS.join(' | ')}: provider whose responses --provider record saves
+                                (default: ${config.llm.recordProvider})
+  --fixtures-dir <dir>          LLM fixtures written by record and read by replay (default: ${config.llm.fixturesDir})
+  --temperature <n>             Sampling temperature, 0-2 (default: ${config.llm.temperature})
+  --llm-retries <n>             Retry rate-limited or failed LLM calls up to n times (default: ${config.llm.retries})
+  --fallback-providers <list>   Providers to ask when the LLM call still fails, in order, comma-separated;
+                                "provider" or "provider:model", e.g. gemini,anthropic:claude-opus-4-1
+  --budget <usd>                Fail the run when the estimated LLM cost exceeds this, 0 = none (default: ${config.llm.budget})
+
+Output:
+  --output-dir <dir>            HTML report directory (default: ${config.reporting.outputDir})
+  --screenshots-dir <dir>       Screenshot directory (default: ${config.reporting.screenshotsDir})
+
+Execution:
+  --mode <plan|live>            Plan all steps up front, or each step against the page (default: ${config.runner.mode})
+  --refresh-plan                Ignore cached plans and re-plan
+  --frozen-plan                 Only replay cached plans, never call the LLM to plan
+  --session-max-age <seconds>   Rebuild saved sessions older than this (default: ${config.runner.sessionMaxAge})
+  --refresh-sessions            Rebuild every saved session the selected tests use
+  --failure-policy <policy>     continue | stop-test | stop-on-assertion (default: ${config.runner.failurePolicy})
+  --retries <n>                 Re-run failed test files up to n times (default: ${config.runner.retries})
+  --workers <n>                 Run test files in n parallel workers (default: ${config.runner.workers})
+  --tool-timeout <ms>           Per MCP tool call, 0 = none (default: ${config.runner.timeouts.tool})
+  --llm-timeout <ms>            Per LLM call, 0 = none (default: ${config.runner.timeouts.llm})
+  --test-timeout <ms>           Per test file, 0 = none (default: ${config.runner.timeouts.test})
+  --suite <file>                Suite config with beforeAll/afterAll/beforeEach/afterEach hooks
+                                (default: ${SUITE_FILES[0]} in the tests folder, if present)
+  --dry-run                     Plan and validate every test without a browser, print the plans
+                                and write them to a JSON file in the output directory
+
+Selection:
+  --grep <regex>                Only tests whose name or path matches
+  --tag <tag>                   Only tests with one of these tags (repeatable, comma-separated)
+  --exclude-tag <tag>           Skip tests with any of these tags (repeatable, comma-separated)
+  --list                        List the matching tests and exit
+
+  -h, --help                    Show this help
+
+Examples:
+  node direct_mcp_stateless.js tests/test1.yml
+  node direct_mcp_stateless.js tests/ --headless --workers 4
+  node direct_mcp_stateless.js 'tests/**/*.login.yml' --browser firefox --viewport 1920x1080
+  node direct_mcp_stateless.js tests/ --browsers chromium,firefox,webkit
+  node direct_mcp_stateless.js tests/ --devices "mobile,iPad Mini,1920x1080"
+  node direct_mcp_stateless.js tests/ --provider gemini --model gemini-2.5-pro
+  node direct_mcp_stateless.js tests/ --provider openai-compatible --base-url http://localhost:11434/v1 --model qwen3
+  node direct_mcp_stateless.js tests/ --mode=live --failure-policy stop-test --retries 2
+  node direct_mcp_stateless.js tests/ --tag smoke --exclude-tag slow --list
+  node direct_mcp_stateless.js tests/login.test.yaml --dry-run
+  node direct_mcp_stateless.js tests/ --provider record --refresh-plan && node direct_mcp_stateless.js tests/ --provider replay
+`);
+}
+
+/**
+ * Splits repeatable, comma-separated option values into a flat list.
+ *
+ * @param {Array<string>} values - Raw option values, e.g. ['smoke,auth', 'api']
+ * @returns {Array<string>}
+ */
+function splitListOption(values) {
+  return values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a test file and adds the beforeEach/afterEach hooks and baseUrl of the suite.
+ *
+ * @param {string} testFile - Absolute test file path
+ * @returns {Object} Test definition
+ * @throws {Error} If the test file is invalid
+ */
+function loadTest(testFile) {
+  const test = parseTestFile(fs.readFileSync(testFile, 'utf8'), testFile);
+  if (!suite) {
+    return test;
+  }
+  return { ...test, baseUrl: test.baseUrl || suite.baseUrl, beforeEach: suite.beforeEach, afterEach: suite.afterEach };
+}
+
+/**
+ * Runs a single attempt of a test file with its own runner and MCP connection.
+ *
+ * @param {string} testFile - Absolute test file path
+ * @param {Array<Object>} previousAttempts - Summaries of earlier failed attempts
+ * @param {Object} [runnerOptions] - Browser, device, matrix variant and example row, see StatelessMCPRunner
+ * @returns {Promise<Object>} Attempt summary
+ */
+async function runTestAttempt(testFile, previousAttempts, runnerOptions = {}) {
+  const testName = testPath(testFile);
+  const runner = new StatelessMCPRunner(runnerOptions);
+  runner.previousAttempts = previousAttempts;
+  const startTime = new Date();
+
+  const summarize = (result, error) => ({
+    attempt: previousAttempts.length + 1,
+    result,
+    error,
+    startTime,
+    duration: Date.now() - startTime,
+    passed: runner.testResults.passed,
+    failed: runner.testResults.failed,
+    skipped: runner.testResults.skipped,
+    usage: runner.usage,
+    reportFile: runner.reportFile,
+    failedSteps: runner.testResults.actions
+      .filter(action => action.status === 'failed')
+      .map(action => ({ step: action.step, tool: action.tool, error: runner.variables.redact(action.error) }))
+  });
+
+  try {
+    const test = loadTest(testFile);
+    await runner.initializeMCP(test);
+    await runner.runTest(test, testName);
+    return summarize('pass', null);
+
+  } catch (err) {
+    // The error ends up in the summary and the matrix report, outside the runner's own report
+    const error = runner.variables.redact(err.message);
+    log.error(`❌ Attempt ${previousAttempts.length + 1} FAILED: ${testName}`, error + '\n');
+    // Every attempt gets a report, also when it stopped before any step ran
+    if (!runner.reportFile) {
+      runner.writeFailureReport(testName, err);
+    }
+    return summarize('fail', error);
+
+  } finally {
+    await runner.cleanup();
+  }
+}
+
+/**
+ * Runs the beforeAll or afterAll hook of the suite once, in its own MCP
+ * session and with its own report. Hooks are not retried.
+ *
+ * @param {string} hook - 'beforeAll' or 'afterAll'
+ * @returns {Promise<Object>} Hook result ({ hook, status, error, reportFile })
+ */
+async function runSuiteHook(hook) {
+  if (interruptSignal) {
+    return { hook, status: 'NOT RUN' };
+  }
+
+  log.info(`🪝 Running ${hook} hook of ${path.relative(process.cwd(), suite.filePath)}`);
+  const runner = new StatelessMCPRunner();
+  const test = createHookTest(suite, hook);
+
+  try {
+    await runner.initializeMCP(test);
+    await runner.runTest(test, `${testPath(suite.filePath)}.${hook}`);
+    log.success(`✅ ${hook} hook PASSED\n`);
+    return { hook, status: 'PASSED', reportFile: runner.reportFile, usage: runner.usage };
 
+  } catch (err) {
+    const error = runner.variables.redact(err.message);
+    log.error(`❌ ${hook} hook FAILED`, error + '\n');
+    if (!runner.reportFile) {
+      runner.writeFailureReport(`${testPath(suite.filePath)}.${hook}`, err);
+    }
+    return { hook, status: interruptSignal ? 'INTERRUPTED' : 'FAILED', error, reportFile: runner.reportFile, usage: runner.usage };
+
+  } finally {
+    await runner.cleanup();
+  }
+}
+
+/**
+ * Builds the matrix a test file runs in: every example row × every browser
+ * × every device. Browsers come from the configured matrix, else the
+ * "browsers" list of the test file, else the single configured browser;
+ * devices likewise from the configured devices, else the "devices" list,
+ * else none (plain viewport). A test without examples runs once.
+ *
+ * @param {string} testFile - Absolute test file path
+ * @returns {Array<{browser: string, device: Object|null, variant: string|null, example: Object|null}>}
+ *   Matrix entries; variant labels the browser/device when the test runs in more than one
+ */
+function resolveMatrix(testFile) {
+  let test = null;
+  try {
+    test = parseTestFile(fs.readFileSync(testFile, 'utf8'), testFile);
+  } catch (err) {
+    // Parse errors are reported when the test runs
+  }
+
+  const browsers = config.browser.matrix.length > 0
+    ? config.browser.matrix
+    : test?.browsers.length > 0 ? test.browsers : [config.browser.name];
+  const devices = config.browser.devices.length > 0
+    ? config.browser.devices.map(resolveDevice)
+    : test?.devices.length > 0 ? test.devices : [null];
+
+  const examples = test?.examples.length > 0 ? test.examples : [null];
+
+  return examples.flatMap(example => browsers.flatMap(browser => devices.map(device => {
+    const labels = [];
+    if (browsers.length > 1) labels.push(browser);
+    if (devices.length > 1) labels.push(device.name);
+    return { browser, device, variant: labels.length > 0 ? labels.join(' / ') : null, example };
+  })));
+}
+
+/**
+ * Names the suite result of a matrix entry; every example row is a result
+ * of its own, e.g. "tests/login.test.yaml [admin]".
+ *
+ * @param {string} testFile - Absolute test file path
+ * @param {Object} entry - Matrix entry from resolveMatrix()
+ * @returns {{testName: string, browser: string, device: string|null, variant: string|null, example: string|null}}
+ */
+function describeEntry(testFile, { browser, device, variant, example }) {
+  const testName = testPath(testFile);
+  return {
+    testName: example ? `${testName} [${example.name}]` : testName,
+    browser,
+    device: device ? device.name : null,
+    variant,
+    example: example ? example.name : null
+  };
+}
+
+/**
+ * Runs a test file in one matrix entry, retrying it from scratch up to
+ * `config.runner.retries` times. A test that fails first and passes on a
+ * retry is reported as flaky.
+ *
+ * @param {string} testFile - Absolute test file path
+ * @param {Object} entry - Matrix entry from resolveMatrix()
+ * @returns {Promise<Object>} Suite result entry for the test and matrix entry
+ */
+async function runTestVariant(testFile, entry) {
+  const identity = describeEntry(testFile, entry);
+  const label = entry.variant ? `${identity.testName} [${entry.variant}]` : identity.testName;
+  const attempts = [];
+
+  for (let attempt = 0; attempt <= config.runner.retries; attempt++) {
+    if (attempt > 0) {
+      log.warn(`🔁 Retrying ${label} (retry ${attempt}/${config.runner.retries})`);
+    }
+
+    const summary = await runTestAttempt(testFile, [...attempts], entry);
+    attempts.push(summary);
+
+    if (summary.result === 'pass') {
+      const flaky = attempts.length > 1;
+      if (flaky) {
+        log.warn(`⚠️  Test FLAKY: ${label} (passed on attempt ${attempts.length})\n`);
+      } else {
+        log.success(`✅ Test PASSED: ${label}\n`);
+      }
+      return {
+        ...identity,
+        status: flaky ? 'FLAKY' : 'PASSED',
+        passed: summary.passed,
+        failed: summary.failed,
+        skipped: summary.skipped,
+        reportFile: summary.reportFile,
+        usage: sumUsage(attempts.map(item => item.usage)),
+        attempts
+      };
+    }
+
+    // An interrupted run is not retried
+    if (interruptSignal) {
+      log.warn(`⏹️  Test INTERRUPTED: ${label}\n`);
+      return {
+        ...identity,
+        status: 'INTERRUPTED',
+        error: summary.error,
+        reportFile: summary.reportFile,
+        usage: sumUsage(attempts.map(item => item.usage)),
+        attempts
+      };
+    }
+  }
+
+  const last = attempts[attempts.length - 1];
+  log.error(`❌ Test FAILED: ${label}`, last.error + '\n');
+  return {
+    ...identity,
+    status: 'FAILED',
+    error: last.error,
+    reportFile: last.reportFile,
+    usage: sumUsage(attempts.map(item => item.usage)),
+    attempts
+  };
+}
+
+/**
+ * Runs a test file in each entry of its browser/device matrix. Once the run
+ * is interrupted or over its LLM budget, the remaining entries are reported
+ * as not run.
+ *
+ * @param {string} testFile - Absolute test file path
+ * @param {number} index - 0-based position in the suite
+ * @param {number} total - Number of test files in the suite
+ * @returns {Promise<Array<Object>>} Suite result entries, one per matrix entry
+ */
+async function runTestFile(testFile, index, total) {
+  const testName = testPath(testFile);
+  const matrix = resolveMatrix(testFile);
+  const variants = [...new Set(matrix.map(entry => entry.variant).filter(Boolean))];
+  const examples = [...new Set(matrix.map(entry => entry.example).filter(Boolean))];
+  const notRun = entry => ({ ...describeEntry(testFile, entry), status: 'NOT RUN' });
+
+  if (interruptSignal || isOverBudget()) {
+    return matrix.map(notRun);
+  }
+
+  log.info(`\n${'='.repeat(60)}`);
+  const details = [
+    examples.length > 0 ? `${examples.length} example(s)` : null,
+    ...variants
+  ].filter(Boolean);
+  log.info(`Executing test ${index + 1}/${total}: ${testName}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+  log.info(`${'='.repeat(60)}\n`);
+
+  const results = [];
+  for (const entry of matrix) {
+    if (interruptSignal || isOverBudget()) {
+      results.push(notRun(entry));
+      continue;
+    }
+    if (entry.example || entry.variant) {
+      log.info(`🌐 Running ${describeEntry(testFile, entry).testName}${entry.variant ? ` in ${entry.variant}` : ''}`);
+    }
+    results.push(await runTestVariant(testFile, entry));
+  }
+  return results;
+}
+
+/**
+ * Lists a test file that does not run at all, one entry per matrix entry.
+ *
+ * @param {string} testFile - Absolute test file path
+ * @returns {Array<Object>} Suite result entries with status NOT RUN
+ */
+function skipTestFile(testFile) {
+  return resolveMatrix(testFile).map(entry => ({ ...describeEntry(testFile, entry), status: 'NOT RUN' }));
+}
+
+/**
+ * Prints an execution plan as a table of step, tool, params and assertion flag.
+ *
+ * @param {Array<Object>} steps - Plan entries from StatelessMCPRunner.planTest()
+ */
+function printPlan(steps) {
+  const truncate = (text, width) => (text.length > width ? `${text.slice(0, width - 1)}…` : text);
+  const rows = steps.map((entry, idx) => [
+    String(idx + 1),
+    entry.phase || '',
+    truncate(entry.step || entry.description || '', 50),
+    entry.tool,
+    truncate(JSON.stringify(entry.params ?? {}), 60),
+    entry.assertion ? 'yes' : ''
+  ]);
+  const header = ['#', 'Phase', 'Step', 'Tool', 'Params', 'Assertion'];
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  const format = row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+  console.log(format(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(format(row)));
+}
+
+/**
+ * Plans the selected tests and the beforeAll/afterAll hooks of the suite
+ * without a browser session, prints every plan and writes them all to a
+ * JSON file in the output directory. Each test file is planned once: its
+ * example rows and browser/device variants share the plan.
+ *
+ * @param {Array<string>} testFiles - Absolute test file paths
+ * @returns {Promise<boolean>} Whether every plan was produced and valid
+ */
+async function dryRun(testFiles) {
+  const hookTarget = hook => (suite?.[hook].length > 0
+    ? [{ testName: `${testPath(suite.filePath)}.${hook}`, file: suite.filePath, load: () => createHookTest(suite, hook) }]
+    : []);
+  const targets = [
+    ...hookTarget('beforeAll'),
+    ...testFiles.map(file => ({ testName: testPath(file), file, load: () => loadTest(file) })),
+    ...hookTarget('afterAll')
+  ];
+
+  const plans = [];
+  for (const { testName, file, load } of targets) {
+    const identity = { testName, file: testPath(file) };
+    if (interruptSignal) {
+      plans.push({ ...identity, status: 'NOT RUN' });
+      continue;
+    }
+
+    log.info(`\n📝 Planning ${testName}`);
+    const runner = new StatelessMCPRunner();
+    try {
+      const test = load();
+      await runner.loadPlanningTools(test);
+      // The plan is printed and written to disk, so secret values the LLM echoed are masked;
+      // planTest() sets up the test's variables, secrets included
+      const planned = await runner.planTest(test, testName);
+      const plan = runner.variables.redact(planned);
+      printPlan(plan.steps);
+      plans.push({ ...identity, status: 'PLANNED', ...plan });
+    } catch (err) {
+      const error = runner.variables.redact(err.message);
+      log.error(`Planning failed for ${testName}`, error);
+      plans.push({ ...identity, status: 'FAILED', error });
+    }
+  }
+
+  fs.mkdirSync(config.reporting.outputDir, { recursive: true });
+  const planFile = path.join(config.reporting.outputDir, `dry_run_${Date.now()}.json`);
+  fs.writeFileSync(planFile, JSON.stringify({ createdAt: new Date().toISOString(), plans }, null, 2));
+
+  const failed = plans.filter(plan => plan.status === 'FAILED');
+  log.info(`\n${'='.repeat(60)}`);
+  log.info(`DRY RUN: ${plans.length - failed.length}/${plans.length} plan(s) produced`);
+  failed.forEach(plan => log.error(`${plan.testName}: ${plan.error.split('\n')[0]}`));
+  log.info(`Plans written to ${planFile}`);
+  return failed.length === 0;
+}
+
+/**
+ * Decides which session setup tests must run before the suite: every
+ * selected test that saves a session, plus the setup test of every session a
+ * selected test uses that is missing or expired.
+ *
+ * @param {Array<Object>} allTests - All discovered tests, from describeTests()
+ * @param {Array<Object>} tests - Selected tests
+ * @param {SessionStore} sessionStore - Saved sessions
+ * @returns {{setupTests: Array<Object>, errors: Array<string>, warnings: Array<string>}}
+ */
+function planSessionSetups(allTests, tests, sessionStore) {
+  const providers = new Map();
+  const errors = [];
+  const warnings = [];
+
+  for (const test of allTests.filter(item => item.saveSession)) {
+    const other = providers.get(test.saveSession);
+    if (other) {
+      errors.push(`Session "${test.saveSession}" is saved by both ${path.relative(process.cwd(), other.file)} and ${path.relative(process.cwd(), test.file)}`);
+    } else {
+      providers.set(test.saveSession, test);
+    }
+  }
+
+  const setupTests = tests.filter(test => test.saveSession);
+  for (const name of new Set(tests.map(test => test.useSession).filter(Boolean))) {
+    if (sessionStore.isFresh(name)) continue;
+
+    const provider = providers.get(name);
+    if (!provider) {
+      warnings.push(`Session "${name}" is ${sessionStore.getAge(name) === null ? 'not saved' : 'expired'} and no given test file declares saveSession: ${name}`);
+    } else if (!setupTests.includes(provider)) {
+      setupTests.push(provider);
+    }
+  }
+
+  // Setup tests that use a session saved by another setup test run after it
+  const saved = new Set(setupTests.map(test => test.saveSession));
+  setupTests.sort((a, b) => Number(saved.has(a.useSession)) - Number(saved.has(b.useSession)));
+
+  return { setupTests, errors, warnings };
+}
+
+/**
+ * Prints the results of tests that ran in several browsers or devices side by side.
+ *
+ * @param {Array<Object>} results - Suite result entries
+ */
+function printMatrix(results) {
+  const variants = [...new Set(results.map(result => result.variant).filter(Boolean))];
+  const testNames = [...new Set(results.map(result => result.testName))];
+  const statusIcons = { PASSED: '✅', FLAKY: '⚠️ ', FAILED: '❌', INTERRUPTED: '⏹️ ', 'NOT RUN': '⏭️ ' };
+  const nameWidth = Math.max(4, ...testNames.map(name => name.length));
+  const cellWidth = Math.max(10, ...variants.map(variant => variant.length));
+
+  log.info('🌐 Test matrix:');
+  console.log(`  ${'Test'.padEnd(nameWidth)}  ${variants.map(variant => variant.padEnd(cellWidth)).join('  ')}`);
+  for (const testName of testNames) {
+    const cells = variants.map(variant => {
+      const result = results.find(item => item.testName === testName && item.variant === variant);
+      return (result ? `${statusIcons[result.status] || '❌'} ${result.status}` : '-').padEnd(cellWidth);
+    });
+    console.log(`  ${testName.padEnd(nameWidth)}  ${cells.join('  ')}`);
+  }
+  console.log('');
+}
+
+async function main() {
+  let cli;
+  try {
+    cli = parseArgs({ allowPositionals: true, options: cliOptions });
+  } catch (err) {
+    log.error('Invalid arguments', err.message);
+    printUsage(process.stderr);
+    process.exit(1);
+  }
+
+  if (cli.values.help) {
+    printUsage();
+    return;
+  }
+
+  if (cli.values['refresh-plan'] && cli.values['frozen-plan']) {
+    log.error('--refresh-plan and --frozen-plan cannot be used together');
+    process.exit(1);
+  }
+
+  // CLI flags are the last layer on top of the config file and environment
+  const overrides = {};
+  for (const setting of SETTINGS) {
+    if (setting.flag && cli.values[setting.flag] !== undefined) {
+      overrides[setting.key] = { value: cli.values[setting.flag], flag: setting.flag };
+    }
+    if (setting.flag && setting.type === 'boolean' && cli.values[`no-${setting.flag}`]) {
+      if (cli.values[setting.flag]) {
+        log.error(`--${setting.flag} and --no-${setting.flag} cannot be used together`);
+        process.exit(1);
+      }
+      overrides[setting.key] = { value: false, flag: `no-${setting.flag}` };
+    }
+  }
+  if (cli.values['refresh-plan']) overrides['runner.planCache'] = { value: 'refresh', flag: 'refresh-plan' };
+  if (cli.values['frozen-plan']) overrides['runner.planCache'] = { value: 'frozen', flag: 'frozen-plan' };
+  if (cli.values['refresh-sessions']) overrides['runner.sessionMaxAge'] = { value: '0', flag: 'refresh-sessions' };
+
+  let resolved;
+  try {
+    resolved = loadConfig({ configFile: cli.values.config, cli: overrides });
+  } catch (err) {
+    err.message.split('\n').forEach(line => log.error(line));
+    process.exit(1);
+  }
+  Object.assign(config, resolved.config);
+
+  if (cli.values['print-config']) {
+    log.info(`Resolved configuration (config file: ${resolved.configFile || 'none'}):`);
+    console.log(formatConfig(config, resolved.sources));
+    return;
+  }
+
+  const testPaths = cli.positionals;
+  const workerId = process.env.MCP_WORKER_ID;
+  const workers = config.runner.workers;
+
+  // Workers never share screenshots, browser profiles or report files
+  if (workerId) {
+    config.reporting.screenshotsDir = path.join(config.reporting.screenshotsDir, `worker-${workerId}`);
+    config.reporting.reportSuffix = `_worker-${workerId}`;
+    config.browser.userDataDir = path.join('mcp-workspace', 'browser-profiles', `worker-${workerId}`);
+  }
+
+  if (testPaths.length === 0) {
+    printUsage(process.stderr);
+    process.exit(1);
+  }
+
+  let grep = null;
+  if (cli.values.grep) {
+    try {
+      grep = new RegExp(cli.values.grep);
+    } catch (err) {
+      log.error(`Invalid --grep "${cli.values.grep}"`, err.message);
+      process.exit(1);
+    }
+  }
+
+  try {
+    prices = loadPrices(config.llm.priceFile);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  try {
+    const suiteFile = cli.values.suite ? path.resolve(cli.values.suite) : findSuiteFile(testPaths);
+    if (suiteFile && !fs.existsSync(suiteFile)) {
+      throw new Error(`Suite config does not exist: ${cli.values.suite}`);
+    }
+    if (suiteFile) {
+      suite = parseSuiteFile(fs.readFileSync(suiteFile, 'utf8'), suiteFile);
+    }
+  } catch (err) {
+    err.message.split('\n').forEach(line => log.error(line));
+    process.exit(1);
+  }
+
+  let allTests;
+  let tests;
+  try {
+    // Step libraries of the suite hooks are not tests either
+    allTests = describeTests(findTestFiles(testPaths)).filter(test => !suite?.libraries.includes(test.file));
+    tests = filterTests(allTests, {
+      grep,
+      tags: splitListOption(cli.values.tag),
+      excludeTags: splitListOption(cli.values['exclude-tag'])
+    });
+  } catch (err) {
+    log.error('Failed to load test files', err.message);
+    process.exit(1);
+  }
+
+  if (cli.values.list) {
+    if (suite) {
+      const hooks = HOOKS.filter(hook => suite[hook].length > 0);
+      log.info(`Suite ${path.relative(process.cwd(), suite.filePath)}: ${hooks.length > 0 ? `${hooks.join(', ')} hook(s)` : 'no hooks'}`);
+    }
+    log.info(`${tests.length} matching test(s):`);
+    tests.forEach((test, idx) => {
+      const tags = test.tags.length > 0 ? ` [${test.tags.join(', ')}]` : '';
+      const invalid = test.error ? ' (invalid test file)' : '';
+      const details = [
+        test.examples > 0 ? `${test.examples} example(s)` : null,
+        test.saveSession ? `saves session "${test.saveSession}"` : null,
+        test.useSession ? `uses session "${test.useSession}"` : null
+      ].filter(Boolean);
+      const detailInfo = details.length > 0 ? ` (${details.join(', ')})` : '';
+      console.log(`  ${idx + 1}. ${path.relative(process.cwd(), test.file)} - ${test.name}${tags}${detailInfo}${invalid}`);
+    });
+    return;
+  }
+
+  let testFiles = tests.map(test => test.file);
+
+  if (testFiles.length === 0) {
+    log.error('No test files found in the specified path');
+    process.exit(1);
+  }
+
+  try {
+    checkLLMConfig(config.llm);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  if (cli.values['dry-run']) {
+    log.info(`Found ${testFiles.length} test file(s) to plan`);
+    const planned = await dryRun(testFiles);
+    process.exit(interruptSignal ? 128 + os.constants.signals[interruptSignal] : planned ? 0 : 1);
+  }
+
+  log.info(`Found ${testFiles.length} test file(s) to execute`);
+
+  let allResults = [];
+  let position = 0;
+  let total = testFiles.length;
+  const hookResults = [];
+  let suiteError = null;
+
+  // beforeAll/afterAll run once, in this process; workers only add the
+  // beforeEach/afterEach hooks to their tests
+  if (!workerId && suite?.beforeAll.length > 0) {
+    const result = await runSuiteHook('beforeAll');
+    hookResults.push(result);
+    if (result.status === 'FAILED') {
+      suiteError = 'beforeAll hook failed';
+      log.error(`Suite errored (${suiteError}), no test will run`);
+      allResults.push(...testFiles.flatMap(skipTestFile));
+      testFiles = [];
+    }
+  }
+
+  // Session setup tests run first, in this process, so that tests running
+  // in parallel workers only ever read saved sessions
+  if (!workerId && !suiteError) {
+    const sessionStore = new SessionStore(config.runner.sessionsDir, config.runner.sessionMaxAge);
+    const { setupTests, errors, warnings } = planSessionSetups(allTests, tests, sessionStore);
+
+    if (errors.length > 0) {
+      errors.forEach(error => log.error(error));
+      process.exit(1);
+    }
+    warnings.forEach(warning => log.warn(warning));
+
+    const setupFiles = setupTests.map(test => test.file);
+    total = new Set([...setupFiles, ...testFiles]).size;
+
+    for (const setupTest of setupTests) {
+      log.info(`🔐 Building session "${setupTest.saveSession}"`);
+      const results = await runTestFile(setupTest.file, position++, total);
+      allResults.push(...results);
+      if (results.some(result => result.status === 'FAILED')) {
+        sessionStore.invalidate(setupTest.saveSession);
+      }
+    }
+
+    testFiles = testFiles.filter(file => !setupFiles.includes(file));
+  }
+
+  if (workers > 1 && testFiles.length > 1 && !workerId) {
+    log.info(`Running with ${Math.min(workers, testFiles.length)} parallel workers`);
+    allResults.push(...await runInWorkers(testFiles, {
+      workers,
+      scriptPath: fileURLToPath(import.meta.url),
+      args: [
+        ...toCliArgs(cli.values, ['workers', 'grep', 'tag', 'exclude-tag', 'list', 'refresh-sessions', 'suite']),
+        ...(suite ? ['--suite', suite.filePath] : [])
+      ],
+      // Workers only count their own spending, the budget of the run is checked here
+      onResults: results => { runUsage = sumUsage([runUsage, ...results.map(result => result.usage)]); },
+      shouldStop: isOverBudget
+    }));
+  } else {
+    for (const testFile of testFiles) {
+      allResults.push(...await runTestFile(testFile, position++, total));
+    }
+  }
+
+  if (!workerId && suite?.afterAll.length > 0) {
+    const result = await runSuiteHook('afterAll');
+    hookResults.push(result);
+    if (result.status === 'FAILED') {
+      suiteError ??= 'afterAll hook failed';
+    }
+  }
+
+  const totalPassed = allResults.filter(r => r.status === 'PASSED').length;
+  const totalFlaky = allResults.filter(r => r.status === 'FLAKY').length;
+  const totalFailed = allResults.filter(r => r.status === 'FAILED').length;
+  const totalInterrupted = allResults.filter(r => r.status === 'INTERRUPTED').length;
+  const totalNotRun = allResults.filter(r => r.status === 'NOT RUN').length;
+  const totalUsage = sumUsage([...allResults, ...hookResults].map(result => result.usage));
+  const overBudget = config.llm.budget > 0 && totalUsage.cost > config.llm.budget;
+  // Interrupted runs exit like a process killed by the signal (130 for SIGINT, 143 for SIGTERM)
+  const exitCode = interruptSignal
+    ? 128 + os.constants.signals[interruptSignal]
+    : totalFailed > 0 ? 1 : 0;
+
+  // A worker only reports back to the parent, which prints the summary
+  if (workerId && process.send) {
+    process.send({ type: 'results', results: allResults }, () => {
+      process.exit(exitCode);
+    });
+    return;
+  }
+
+  // Print summary
+  log.info(`\n${'='.repeat(60)}`);
+  log.info('TEST SUITE SUMMARY');
+  log.info(`${'='.repeat(60)}`);
+  log.info(`Total Tests: ${allResults.length}`);
+  log.success(`Passed: ${totalPassed}`);
+  if (totalFlaky > 0) {
+    log.warn(`Flaky: ${totalFlaky}`);
+  }
   if (totalFailed > 0) {
+    log.error(`Failed: ${totalFailed}`, '');
+  }
+  if (totalInterrupted > 0) {
+    log.warn(`Interrupted: ${totalInterrupted}`);
+  }
+  if (totalNotRun > 0) {
+    log.warn(`Not run: ${totalNotRun}`);
+  }
+  if (suiteError) {
+    log.error(`SUITE ERRORED: ${suiteError}`, '');
+  }
+  log.info(`LLM usage: ${formatUsage(totalUsage)}`);
+  if (overBudget) {
+    log.error(`LLM BUDGET EXCEEDED: ~${formatCost(totalUsage.cost)} spent, budget ${formatCost(config.llm.budget)}`, '');
+  } else if (config.llm.budget > 0 && totalUsage.unpricedCalls > 0) {
+    log.warn(`The LLM budget only covers priced models; ${totalUsage.unpricedCalls} call(s) had no price (see llm.priceFile)`);
+  }
+  log.info(`${'='.repeat(60)}\n`);
+
+  const statusIcons = { PASSED: '✅', FLAKY: '⚠️ ', FAILED: '❌', INTERRUPTED: '⏹️ ', 'NOT RUN': '⏭️ ' };
+  if (hookResults.length > 0) {
+    log.info('🪝 Suite hooks:');
+    hookResults.forEach(result => {
+      console.log(`${statusIcons[result.status] || '❌'} ${result.hook} - ${result.status}${result.reportFile ? ` (${result.reportFile})` : ''}`);
+      if (result.error) {
+        console.log(`   Error: ${result.error}`);
+      }
+    });
+    console.log('');
+  }
+
+  // Group per browser/device when any test ran in more than one
+  const hasMatrix = allResults.some(result => result.variant);
+  if (hasMatrix) {
+    printMatrix(allResults);
+    const matrixReport = new TestReportGenerator(config).generateMatrixReport(allResults);
+    log.info(`Matrix report: ${matrixReport}`);
+  }
+
+  // Print individual results
+  allResults.forEach((result, idx) => {
+    const attemptInfo = result.attempts && result.attempts.length > 1 ? ` (${result.attempts.length} attempts)` : '';
+    const variantInfo = result.variant ? ` [${result.variant}]` : '';
+    const usageInfo = result.usage?.calls > 0 ? ` (${result.usage.totalTokens.toLocaleString('en-US')} tokens, ~${formatCost(result.usage.cost)})` : '';
+    console.log(`${statusIcons[result.status] || '❌'} ${idx + 1}. ${result.testName}${variantInfo} - ${result.status}${attemptInfo}${usageInfo}`);
+    if (result.error) {
+      console.log(`   Error: ${result.error}`);
+    }
+  });
+
+  if (interruptSignal) {
+    log.warn(`⏹️  Run interrupted by ${interruptSignal}`);
+    process.exit(exitCode);
+  }
+  if (totalFailed > 0 || suiteError || overBudget) {
     process.exit(1);
   }
 
-  log.success('\n🎉 ALL TESTS PASSED');
+  log.success(totalFlaky > 0 ? `\n🎉 ALL TESTS PASSED (${totalFlaky} flaky)` : '\n🎉 ALL TESTS PASSED');
 }
 
 // ---------- CLEANUP HANDLERS ----------
-process.on('SIGINT', async () => {
-  log.warn('Interrupted. Cleaning up...');
-  process.exit(0);
-});
+// The first SIGINT/SIGTERM lets the current step finish: the remaining steps
+// and tests are reported as not run, reports are written and the MCP servers
+// closed before exiting. A second signal exits immediately.
+function handleInterrupt(signal) {
+  if (interruptSignal) {
+    // A worker gets both the terminal's SIGINT and the signal forwarded by
+    // the parent, so only the parent forces the exit
+    if (process.env.MCP_WORKER_ID) return;
+    log.error(`${signal} received again, exiting immediately`);
+    stopWorkers('SIGKILL');
+    process.exit(128 + os.constants.signals[signal]);
+  }
+
+  interruptSignal = signal;
+  log.warn(`${signal} received, stopping after the current step (repeat to exit immediately)...`);
+  interruptController.abort(new Error(`Interrupted by ${signal}`));
+  stopWorkers('SIGTERM');
+}
+
+process.on('SIGINT', handleInterrupt);
+process.on('SIGTERM', handleInterrupt);
 
 process.on('unhandledRejection', (err) => {
   log.error('Unhandled rejection', err);
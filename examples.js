@@ -0,0 +1,177 @@
+/**
+ * Test Examples
+ * Loads the example rows of a data-driven test. A test runs once per row,
+ * with the row values available as {{column}} variables.
+ *
+ * Rows come from an inline "examples" list in the test file, or from a CSV
+ * (header row + one row per example) or JSON (array of objects) file.
+ * A "name" column, if present, labels the row in the summary and reports;
+ * other rows are labelled "example <n>".
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const COLUMN_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Parse CSV content (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} - Records as lists of fields, blank lines skipped
+ * @throws {Error} If a quoted field is not closed
+ */
+export function parseCSV(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Load example rows from a CSV or JSON file
+ * @param {string} filePath - Path to the .csv or .json file
+ * @returns {Array<Object>} - Rows as column → value mappings
+ * @throws {Error} If the file is missing, unsupported or malformed
+ */
+export function loadExamplesFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`examples file ${filePath} does not exist`);
+  }
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.json') {
+    let rows;
+    try {
+      rows = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`invalid JSON in examples file ${filePath}: ${err.message}`);
+    }
+    if (!Array.isArray(rows)) {
+      throw new Error(`examples file ${filePath} must contain an array of objects`);
+    }
+    return rows;
+  }
+
+  if (extension === '.csv') {
+    let records;
+    try {
+      records = parseCSV(content);
+    } catch (err) {
+      throw new Error(`invalid CSV in examples file ${filePath}: ${err.message}`);
+    }
+    const [header = [], ...body] = records;
+    const columns = header.map(column => column.trim());
+    return body.map((fields, index) => {
+      if (fields.length !== columns.length) {
+        throw new Error(`examples file ${filePath}: row ${index + 1} has ${fields.length} field(s), the header has ${columns.length}`);
+      }
+      return Object.fromEntries(columns.map((column, i) => [column, fields[i]]));
+    });
+  }
+
+  throw new Error(`unsupported examples file ${filePath} (expected .csv or .json)`);
+}
+
+/**
+ * Validate example rows and give each a unique name
+ * Errors about a single row carry its index as `row`, so callers can point at it.
+ * @param {Array<Object>} rows - Rows as column → value mappings
+ * @param {string} [source] - Where the rows come from, prefixed to error messages
+ * @returns {Array<{name: string, values: Object}>} - Examples
+ * @throws {Error} If a row is not a mapping of variable names to plain values, rows have
+ *   different columns, or names repeat
+ */
+export function resolveExamples(rows, source = null) {
+  if (rows.length === 0) {
+    throw new Error(source ? `${source} must contain at least one row` : '"examples" must contain at least one row');
+  }
+
+  const rowError = (index, message) => Object.assign(new Error(message), { row: index });
+  const names = new Set();
+  let columns = null;
+  return rows.map((row, index) => {
+    const where = source ? `${source}: example row ${index + 1}` : `example row ${index + 1}`;
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw rowError(index, `${where} must be a mapping of column names to values`);
+    }
+
+    for (const [column, value] of Object.entries(row)) {
+      if (!COLUMN_PATTERN.test(column)) {
+        throw rowError(index, `${where}: "${column}" is not a valid variable name`);
+      }
+      if (value !== null && typeof value === 'object') {
+        throw rowError(index, `${where}: "${column}" must be a string, number or boolean`);
+      }
+    }
+
+    // Every row must fill the same placeholders, checked against the first row
+    columns ??= Object.keys(row);
+    const missing = columns.find(column => !(column in row));
+    if (missing) {
+      throw rowError(index, `${where}: missing column "${missing}" (example row 1 has it)`);
+    }
+    const extra = Object.keys(row).find(column => !columns.includes(column));
+    if (extra) {
+      throw rowError(index, `${where}: unexpected column "${extra}" (example row 1 does not have it)`);
+    }
+
+    const name = row.name !== undefined && row.name !== null && String(row.name).trim()
+      ? String(row.name).trim()
+      : `example ${index + 1}`;
+    if (names.has(name)) {
+      throw rowError(index, `${where}: duplicate example name "${name}"`);
+    }
+    names.add(name);
+
+    const values = Object.fromEntries(Object.entries(row).map(([column, value]) => [column, value ?? '']));
+    return { name, values };
+  });
+}
+
+/**
+ * List the columns used by any example
+ * @param {Array<{name: string, values: Object}>} examples - Examples from resolveExamples()
+ * @returns {Array<string>}
+ */
+export function exampleColumns(examples) {
+  return [...new Set(examples.flatMap(example => Object.keys(example.values)))];
+}
@@ -1,17 +1,184 @@
 import { createOpenAI } from '@ai-sdk/openai';
 import { createGoogleGenerativeAI } from '@ai-sdk/google';
+import { createAnthropic } from '@ai-sdk/anthropic';
+import { createGroq } from '@ai-sdk/groq';
+import { createMistral } from '@ai-sdk/mistral';
+import { createCohere } from '@ai-sdk/cohere';
+import { FixtureStore, createRecordingModel, createReplayModel } from './llm-fixtures.js';
+
+/**
+ * Default model of each supported provider
+ */
+export const DEFAULT_MODELS = {
+  openai: 'gpt-5', //If facing any problem or ambiguity, feel free to use `gpt5` instead of `gpt-5.1-codex-max`
+  gemini: 'gemini-2.5-flash',
+  anthropic: 'claude-sonnet-4-5',
+  groq: 'llama-3.3-70b-versatile',
+  mistral: 'mistral-large-latest',
+  cohere: 'command-a-03-2025'
+};
+
+/**
+ * Providers that call a model: the ones above, plus openai-compatible for
+ * any server speaking the OpenAI chat completions API (Ollama, vLLM, LM Studio...)
+ * at llm.baseUrl. It has no default model.
+ */
+export const LIVE_PROVIDERS = [...Object.keys(DEFAULT_MODELS), 'openai-compatible'];
+
+/**
+ * All providers: the live ones, plus record (a live provider whose calls are
+ * saved as fixtures) and replay (serves the fixtures, no network or API key)
+ */
+export const PROVIDERS = [...LIVE_PROVIDERS, 'record', 'replay'];
+
+/**
+ * Environment variable holding the API key of each live provider
+ * (LLM_API_KEY overrides it for any provider)
+ */
+export const API_KEY_ENV = {
+  openai: 'OPENAI_API_KEY',
+  gemini: 'GOOGLE_GENERATIVE_AI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  groq: 'GROQ_API_KEY',
+  mistral: 'MISTRAL_API_KEY',
+  cohere: 'COHERE_API_KEY',
+  'openai-compatible': 'OPENAI_COMPATIBLE_API_KEY'
+};
+
+/**
+ * Resolve the model a live provider runs and check it against the allow-list
+ * @param {Object} options
+ * @param {string} options.provider - Live provider
+ * @param {string|null} [options.model] - Model override
+ * @param {Array<string>} [options.allowedModels] - Allowed model ids, empty = any
+ * @returns {string} - Model id
+ * @throws {Error} If the provider has no default model and none is given, or the model is not allowed
+ */
+export function resolveModel({ provider, model = null, allowedModels = [] }) {
+  const modelId = model || DEFAULT_MODELS[provider];
+  if (!modelId) {
+    throw new Error(`A model is required for provider: ${provider} (set --model or LLM_MODEL)`);
+  }
+  if (allowedModels.length > 0 && !allowedModels.includes(modelId)) {
+    throw new Error(`Model "${modelId}" is not in the allowed models: ${allowedModels.join(', ')}`);
+  }
+  return modelId;
+}
+
+/**
+ * Parse a fallback provider entry
+ * @param {string} spec - "provider" or "provider:model", e.g. "gemini:gemini-2.5-pro"
+ * @returns {{provider: string, model: string|null}}
+ * @throws {Error} If the provider is not a live provider
+ */
+export function parseProviderSpec(spec) {
+  const separator = spec.indexOf(':');
+  const provider = separator === -1 ? spec : spec.slice(0, separator);
+  const model = separator === -1 ? null : spec.slice(separator + 1) || null;
+  if (!LIVE_PROVIDERS.includes(provider)) {
+    throw new Error(`unknown provider "${provider}" (expected one of: ${LIVE_PROVIDERS.join(', ')})`);
+  }
+  return { provider, model };
+}
+
+/**
+ * Check the LLM settings before any test runs
+ * @param {Object} llmConfig - The llm section of the runner config
+ * @param {Object} [env] - Environment variables holding the API keys of the fallback providers
+ * @throws {Error} If the API key, base URL or model of a provider is missing or not allowed
+ */
+export function checkLLMConfig({ provider, apiKey, model, recordProvider, baseUrl, allowedModels, fallbackProviders = [] }, env = process.env) {
+  if (fallbackProviders.length > 0 && (provider === 'record' || provider === 'replay')) {
+    throw new Error(`Fallback providers cannot be used with --provider ${provider}`);
+  }
+
+  // Fallback providers read their own key variable and run their default model unless one is given
+  for (const spec of fallbackProviders) {
+    const fallback = parseProviderSpec(spec);
+    const keyEnv = API_KEY_ENV[fallback.provider];
+    if (!env[keyEnv] && fallback.provider !== 'openai-compatible') {
+      throw new Error(`${keyEnv} is not set. Fallback provider ${fallback.provider} needs it.`);
+    }
+    if (fallback.provider === 'openai-compatible' && !baseUrl) {
+      throw new Error('Fallback provider openai-compatible needs a base URL (set --base-url or LLM_BASE_URL)');
+    }
+    if (!fallback.model && !DEFAULT_MODELS[fallback.provider]) {
+      throw new Error(`Fallback provider ${fallback.provider} needs a model, e.g. "${fallback.provider}:<model>"`);
+    }
+    resolveModel({ provider: fallback.provider, model: fallback.model, allowedModels });
+  }
+
+  // Replayed responses need no API key and run no model
+  if (provider === 'replay') return;
+
+  const liveProvider = provider === 'record' ? recordProvider : provider;
+  // Locally hosted models usually accept any key
+  if (!apiKey && liveProvider !== 'openai-compatible') {
+    throw new Error(`${API_KEY_ENV[liveProvider]} is not set. This must be provided by Drupal or the shell (or LLM_API_KEY).`);
+  }
+  if (liveProvider === 'openai-compatible' && !baseUrl) {
+    throw new Error('The openai-compatible provider needs a base URL (set --base-url or LLM_BASE_URL)');
+  }
+  resolveModel({ provider: liveProvider, model, allowedModels });
+}
+
+/**
+ * Create the models of the fallback providers, in order
+ * @param {Object} llmConfig - The llm section of the runner config
+ * @param {Object} [env] - Environment variables holding the API keys
+ * @returns {Array<{provider: string, model: Object}>}
+ */
+export function createFallbackLLMs(llmConfig, env = process.env) {
+  return (llmConfig.fallbackProviders || []).map(spec => {
+    const { provider, model } = parseProviderSpec(spec);
+    return {
+      provider,
+      model: createLLM({ ...llmConfig, provider, apiKey: env[API_KEY_ENV[provider]] || null, model })
+    };
+  });
+}
 
 /**
  * Centralized LLM factory
- * - Only accepts provider + apiKey
- * - Model selection is fully locked here
+ * - Accepts the llm section of the runner config: provider + apiKey, an
+ *   optional model override and the allow-list it must be in
+ * - Default models are defined here (DEFAULT_MODELS)
+ * - openai-compatible talks to baseUrl
+ * - record wraps recordProvider; record and replay keep fixtures in fixturesDir
  * - Prevents misconfiguration and downgrade
  */
-export function createLLM({ provider, apiKey }) {
+export function createLLM({ provider, apiKey, model, recordProvider = 'openai', fixturesDir, baseUrl = null, allowedModels = [] }) {
   if (!provider) {
     throw new Error('LLM provider is required');
   }
 
+  if (provider === 'replay') {
+    return createReplayModel(new FixtureStore(fixturesDir), model || undefined);
+  }
+
+  if (provider === 'record') {
+    if (!LIVE_PROVIDERS.includes(recordProvider)) {
+      throw new Error(`Unsupported provider to record: ${recordProvider}`);
+    }
+    const recorded = createLLM({ provider: recordProvider, apiKey, model, baseUrl, allowedModels });
+    return createRecordingModel(recorded, new FixtureStore(fixturesDir));
+  }
+
+  if (!LIVE_PROVIDERS.includes(provider)) {
+    throw new Error(`Unsupported provider: ${provider}`);
+  }
+
+  const modelId = resolveModel({ provider, model, allowedModels });
+
+  if (provider === 'openai-compatible') {
+    if (!baseUrl) {
+      throw new Error('Base URL missing for provider: openai-compatible');
+    }
+    // The OpenAI client insists on a key, which local servers ignore
+    const compatibleProvider = createOpenAI({ name: 'openai-compatible', baseURL: baseUrl, apiKey: apiKey || 'none' });
+    return compatibleProvider.chat(modelId);
+  }
+
   if (!apiKey) {
     throw new Error(`API key missing for provider: ${provider}`);
   }
@@ -19,13 +186,22 @@ export function createLLM({ provider, apiKey }) {
   switch (provider) {
     case 'openai':
       const openaiProvider = createOpenAI({ apiKey: apiKey });
-      return openaiProvider('gpt-5'); //If facing any problem or ambiguity, feel free to use `gpt5` instead of `gpt-5.1-codex-max`
+      return openaiProvider(modelId);
 
     case 'gemini':
       const googleProvider = createGoogleGenerativeAI({ apiKey });
-      return googleProvider('gemini-2.5-flash');
+      return googleProvider(modelId);
+
+    case 'anthropic':
+      return createAnthropic({ apiKey })(modelId);
+
+    case 'groq':
+      return createGroq({ apiKey })(modelId);
+
+    case 'mistral':
+      return createMistral({ apiKey })(modelId);
 
-    default:
-      throw new Error(`Unsupported provider: ${provider}`);
+    case 'cohere':
+      return createCohere({ apiKey })(modelId);
   }
 }
@@ -0,0 +1,150 @@
+/**
+ * LLM Fixtures
+ * Records LLM requests and responses to fixture files and serves them back,
+ * so the runner itself (plan parsing, repair rounds, reporting, failure
+ * paths) can be exercised offline and deterministically.
+ *
+ * - record: wraps a real model and saves every call as a fixture
+ * - replay: answers every call from the fixtures, without network or API key
+ *
+ * A fixture is keyed by a hash of the prompt and the tool definitions sent
+ * to the model; a request that was never recorded fails the replay.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { wrapLanguageModel } from 'ai';
+
+export class FixtureStore {
+  /**
+   * @param {string} fixturesDir - Directory holding the fixture files
+   */
+  constructor(fixturesDir = '.test-cache/llm-fixtures') {
+    this.fixturesDir = fixturesDir;
+  }
+
+  /**
+   * Compute the fixture key of a model call
+   * @param {Object} options - LanguageModelV3 call options
+   * @returns {string} - SHA-256 hex digest of the prompt and tools
+   */
+  computeKey(options) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(options.prompt))
+      .update('\0')
+      .update(JSON.stringify(options.tools || []))
+      .digest('hex');
+  }
+
+  /**
+   * Get the fixture file path for a key
+   * @param {string} key - Key from computeKey()
+   * @returns {string} - Fixture file path
+   */
+  getFixtureFile(key) {
+    return path.join(this.fixturesDir, `${key.slice(0, 16)}.json`);
+  }
+
+  /**
+   * Load the fixture of a key
+   * @param {string} key - Key from computeKey()
+   * @returns {Object|null} - Fixture ({ key, recordedAt, modelId, prompt, tools, result }) or null
+   */
+  load(key) {
+    const fixtureFile = this.getFixtureFile(key);
+    if (!fs.existsSync(fixtureFile)) return null;
+
+    try {
+      const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+      return fixture.key === key && fixture.result ? fixture : null;
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable LLM fixture ${fixtureFile}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a model call
+   * @param {string} key - Key from computeKey()
+   * @param {Object} options - LanguageModelV3 call options
+   * @param {Object} result - LanguageModelV3 generate result
+   * @param {string} modelId - Model that produced the result
+   * @returns {string} - Fixture file path
+   */
+  save(key, options, result, modelId) {
+    const fixtureFile = this.getFixtureFile(key);
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(fixtureFile, JSON.stringify({
+      key,
+      recordedAt: new Date().toISOString(),
+      modelId,
+      // The prompt is kept so fixtures can be reviewed and diffed
+      prompt: options.prompt,
+      tools: (options.tools || []).map(tool => tool.name),
+      result: {
+        content: result.content,
+        finishReason: result.finishReason,
+        usage: result.usage,
+        providerMetadata: result.providerMetadata,
+        warnings: result.warnings
+      }
+    }, null, 2));
+    return fixtureFile;
+  }
+}
+
+/**
+ * Wrap a model so that every call is saved as a fixture
+ * @param {Object} model - Language model to record
+ * @param {FixtureStore} store - Fixture store
+ * @returns {Object} - Language model
+ */
+export function createRecordingModel(model, store) {
+  return wrapLanguageModel({
+    model,
+    middleware: {
+      specificationVersion: 'v3',
+      wrapGenerate: async ({ doGenerate, params }) => {
+        const result = await doGenerate();
+        const fixtureFile = store.save(store.computeKey(params), params, result, model.modelId);
+        console.log(`📼 LLM response recorded: ${fixtureFile}`);
+        return result;
+      }
+    }
+  });
+}
+
+/**
+ * Create a model that answers every call from the recorded fixtures
+ * @param {FixtureStore} store - Fixture store
+ * @param {string} [modelId] - Model id reported in responses
+ * @returns {Object} - Language model
+ */
+export function createReplayModel(store, modelId = 'replay') {
+  return {
+    specificationVersion: 'v3',
+    provider: 'replay',
+    modelId,
+    supportedUrls: {},
+
+    async doGenerate(options) {
+      const key = store.computeKey(options);
+      const fixture = store.load(key);
+      if (!fixture) {
+        throw new Error(`No recorded LLM response for this request (${store.getFixtureFile(key)}); record it with --provider record`);
+      }
+
+      return {
+        ...fixture.result,
+        warnings: fixture.result.warnings || [],
+        response: { id: `replay-${key.slice(0, 16)}`, timestamp: new Date(), modelId: fixture.modelId || modelId }
+      };
+    },
+
+    async doStream() {
+      throw new Error('The replay provider does not support streaming');
+    }
+  };
+}
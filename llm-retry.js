@@ -0,0 +1,76 @@
+/**
+ * LLM Retry Policy
+ * Decides which failed LLM calls are worth retrying and how long to wait
+ * before the next attempt.
+ *
+ * Rate limits (429), overloaded or failing servers (408/409/5xx), network
+ * errors and malformed provider responses are retried with exponential
+ * backoff; a Retry-After header from the provider takes precedence.
+ * Anything else (bad API key, invalid request) fails at once.
+ */
+
+import {
+  APICallError,
+  EmptyResponseBodyError,
+  InvalidResponseDataError,
+  JSONParseError,
+  NoContentGeneratedError,
+  TypeValidationError
+} from 'ai';
+
+// Longest wait honoured from a Retry-After header
+const MAX_RETRY_AFTER = 5 * 60 * 1000;
+
+/**
+ * Tell whether a failed LLM call may succeed when retried
+ * @param {Error} err - Error thrown by generateText()
+ * @returns {boolean}
+ */
+export function isRetryableLLMError(err) {
+  if (APICallError.isInstance(err)) {
+    return err.isRetryable;
+  }
+  return [EmptyResponseBodyError, InvalidResponseDataError, JSONParseError, NoContentGeneratedError, TypeValidationError]
+    .some(errorClass => errorClass.isInstance(err));
+}
+
+/**
+ * Read the delay a provider asked for in its Retry-After headers
+ * @param {Error} err - Error thrown by generateText()
+ * @returns {number|null} - Delay in milliseconds, null if none was given
+ */
+export function getRetryAfter(err) {
+  const headers = APICallError.isInstance(err) ? err.responseHeaders || {} : {};
+
+  const retryAfterMs = Number.parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return Math.min(retryAfterMs, MAX_RETRY_AFTER);
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    // Either a number of seconds or an HTTP date
+    const seconds = Number.parseFloat(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(delay)) {
+      return Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compute the wait before a retry
+ * @param {Error} err - Error of the failed attempt
+ * @param {number} retry - 0-based number of the retry
+ * @param {number} baseDelay - Wait before the first retry, in milliseconds; doubled for each further retry
+ * @returns {{delay: number, retryAfter: boolean}} - Delay in milliseconds, and whether the provider set it
+ */
+export function getRetryDelay(err, retry, baseDelay) {
+  const retryAfter = getRetryAfter(err);
+  if (retryAfter !== null) {
+    return { delay: Math.round(retryAfter), retryAfter: true };
+  }
+  return { delay: baseDelay * 2 ** retry, retryAfter: false };
+}
@@ -0,0 +1,119 @@
+/**
+ * LLM Usage Accounting
+ * Adds up the tokens of every LLM call and estimates their cost from a
+ * price table, per test and for the whole suite.
+ *
+ * Prices are in USD per million tokens. The defaults are the list prices of
+ * the default models and can be extended or overridden with a JSON price
+ * file (llm.priceFile). Calls to a model without a price are counted but
+ * not costed.
+ */
+
+import fs from 'fs';
+
+/**
+ * Default prices, USD per million input/output tokens
+ */
+export const DEFAULT_PRICES = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'mistral-large-latest': { input: 2, output: 6 },
+  'command-a-03-2025': { input: 2.5, output: 10 }
+};
+
+/**
+ * Load the price table: the defaults, overridden by a price file
+ * @param {string|null} priceFile - JSON file mapping model ids to { input, output }
+ * @returns {Object} - Model id → { input, output }
+ * @throws {Error} If the price file is missing or malformed
+ */
+export function loadPrices(priceFile = null) {
+  if (!priceFile) return { ...DEFAULT_PRICES };
+
+  let prices;
+  try {
+    prices = JSON.parse(fs.readFileSync(priceFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read price file ${priceFile}: ${err.message}`);
+  }
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    throw new Error(`Price file ${priceFile} must map model ids to { "input": <USD>, "output": <USD> } per million tokens`);
+  }
+
+  for (const [model, price] of Object.entries(prices)) {
+    const valid = price && ['input', 'output'].every(kind => typeof price[kind] === 'number' && price[kind] >= 0);
+    if (!valid) {
+      throw new Error(`Invalid price for "${model}" in ${priceFile}: expected { "input": <USD>, "output": <USD> } per million tokens`);
+    }
+  }
+
+  return { ...DEFAULT_PRICES, ...prices };
+}
+
+/**
+ * Create an empty usage total
+ * @returns {{calls: number, inputTokens: number, outputTokens: number, totalTokens: number, cost: number, unpricedCalls: number}}
+ */
+export function createUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0 };
+}
+
+/**
+ * Add the usage of one LLM call to a total
+ * @param {Object} total - Usage total from createUsage(), updated in place
+ * @param {Object|null} usage - AI SDK usage ({ inputTokens, outputTokens, totalTokens })
+ * @param {{input: number, output: number}|null} price - Price of the model, null if unknown
+ * @returns {Object} - The total
+ */
+export function addUsage(total, usage, price) {
+  const inputTokens = usage?.inputTokens ?? 0;
+  const outputTokens = usage?.outputTokens ?? 0;
+
+  total.calls++;
+  total.inputTokens += inputTokens;
+  total.outputTokens += outputTokens;
+  total.totalTokens += usage?.totalTokens ?? inputTokens + outputTokens;
+  if (price) {
+    total.cost += (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  } else {
+    total.unpricedCalls++;
+  }
+  return total;
+}
+
+/**
+ * Add up usage totals
+ * @param {Array<Object|undefined>} usages - Usage totals; missing ones count as none
+ * @returns {Object} - Usage total
+ */
+export function sumUsage(usages) {
+  return usages.filter(Boolean).reduce((total, usage) => {
+    for (const field of Object.keys(total)) {
+      total[field] += usage[field] || 0;
+    }
+    return total;
+  }, createUsage());
+}
+
+/**
+ * Format an estimated cost
+ * @param {number} cost - USD
+ * @returns {string} - e.g. "$0.0123"
+ */
+export function formatCost(cost) {
+  return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Describe a usage total in one line
+ * @param {Object} usage - Usage total
+ * @returns {string} - e.g. "3 call(s), 1,200 input + 300 output tokens, ~$0.0045"
+ */
+export function formatUsage(usage) {
+  const unpriced = usage.unpricedCalls > 0 ? ` (${usage.unpricedCalls} call(s) to unpriced models not included)` : '';
+  return `${usage.calls} call(s), ${usage.inputTokens.toLocaleString('en-US')} input + ${usage.outputTokens.toLocaleString('en-US')} output tokens, ~${formatCost(usage.cost)}${unpriced}`;
+}
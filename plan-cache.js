@@ -0,0 +1,89 @@
+/**
+ * Execution Plan Cache
+ * Persists LLM-generated execution plans so later runs can replay them
+ * without calling the LLM again.
+ *
+ * A cached plan is keyed by a hash of the test text plus the MCP tool list,
+ * so editing the test or upgrading @playwright/mcp invalidates it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export class PlanCache {
+  constructor(cacheDir = '.test-cache/plans') {
+    this.cacheDir = cacheDir;
+  }
+
+  /**
+   * Compute the cache key for a test
+   * @param {string} testText - Full test file content
+   * @param {Map<string, Object>|Array<Object>} tools - Discovered MCP tools
+   * @returns {string} - SHA-256 hex digest
+   */
+  computeKey(testText, tools) {
+    const toolList = Array.from(tools.values())
+      .map(tool => ({ name: tool.name, inputSchema: tool.inputSchema || null }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return crypto
+      .createHash('sha256')
+      .update(testText)
+      .update('\0')
+      .update(JSON.stringify(toolList))
+      .digest('hex');
+  }
+
+  /**
+   * Get the cache file path for a test
+   * The folders of the test path are kept, so tests with the same file
+   * name in different folders get an entry each.
+   * @param {string} testName - Test path relative to the working directory
+   * @returns {string} - Cache file path
+   */
+  getCacheFile(testName) {
+    const segments = testName.split(/[\\/]+/).filter(segment => segment && segment !== '.').map(segment =>
+      segment === '..' ? '__' : segment.replace(/[^a-zA-Z0-9-_.]/g, '_').toLowerCase());
+    return `${path.join(this.cacheDir, ...segments)}.plan.json`;
+  }
+
+  /**
+   * Load the cached entry for a test
+   * @param {string} testName - Name of the test
+   * @returns {Object|null} - Cache entry ({ key, testName, createdAt, plan }) or null
+   */
+  load(testName) {
+    const cacheFile = this.getCacheFile(testName);
+    if (!fs.existsSync(cacheFile)) return null;
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      return Array.isArray(entry.plan) ? entry : null;
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable plan cache ${cacheFile}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a plan for a test
+   * @param {string} testName - Name of the test
+   * @param {string} key - Cache key from computeKey()
+   * @param {Array<Object>} plan - Execution plan
+   * @returns {string} - Cache file path
+   */
+  save(testName, key, plan) {
+    const cacheFile = this.getCacheFile(testName);
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify({
+      key,
+      testName,
+      createdAt: new Date().toISOString(),
+      plan
+    }, null, 2));
+    return cacheFile;
+  }
+}
+
+export default PlanCache;
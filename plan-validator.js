@@ -0,0 +1,199 @@
+/**
+ * Execution Plan Validator
+ * Checks LLM-generated plan entries against the MCP tool input schemas
+ * before anything is executed in the browser.
+ *
+ * Supports the JSON Schema subset emitted by @playwright/mcp (zod-to-json-schema):
+ * type, properties, required, additionalProperties, enum, const, items,
+ * anyOf/oneOf and the usual numeric/string/array bounds.
+ */
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any value
+ * @returns {string} - JSON Schema type name
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type keyword
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Schema type(s)
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = jsonType(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [pointer='params'] - Path of the value, used in messages
+ * @returns {Array<string>} - Violation messages (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, pointer = 'params') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+
+  if (schema.anyOf || schema.oneOf) {
+    const variants = schema.anyOf || schema.oneOf;
+    const matches = variants.filter(variant => validateAgainstSchema(value, variant, pointer).length === 0);
+    if (matches.length === 0) {
+      errors.push(`${pointer} does not match any of the allowed forms`);
+    }
+    return errors;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${pointer} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${pointer} must be of type ${[].concat(schema.type).join('|')}, got ${jsonType(value)}`);
+    return errors;
+  }
+
+  const type = jsonType(value);
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${pointer}.${key} is required`);
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(propValue, properties[key], `${pointer}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}.${key} is not an allowed parameter`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propValue, schema.additionalProperties, `${pointer}.${key}`));
+      }
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${pointer} must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, idx) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${pointer}[${idx}]`));
+      });
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pointer} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pointer} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${pointer} must be at least ${schema.minLength} character(s)`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${pointer} must be at most ${schema.maxLength} character(s)`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a single plan entry
+ * @param {Object} entry - Plan entry ({ stepIndex, tool, params, isAssertion })
+ * @param {Map<string, Object>} tools - Discovered MCP tools keyed by name
+ * @param {number} stepCount - Number of steps in the test
+ * @returns {Array<string>} - Violation messages (empty when valid)
+ */
+export function validatePlanEntry(entry, tools, stepCount) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['entry must be an object'];
+  }
+
+  const errors = [];
+
+  if (!Number.isInteger(entry.stepIndex) || entry.stepIndex < 1 || entry.stepIndex > stepCount) {
+    errors.push(`stepIndex must be an integer between 1 and ${stepCount}, got ${JSON.stringify(entry.stepIndex)}`);
+  }
+
+  if (entry.isAssertion !== undefined && typeof entry.isAssertion !== 'boolean') {
+    errors.push(`isAssertion must be a boolean, got ${jsonType(entry.isAssertion)}`);
+  }
+
+  if (typeof entry.tool !== 'string' || !entry.tool) {
+    errors.push('tool is required');
+    return errors;
+  }
+
+  const tool = tools.get(entry.tool.replace(/^mcp_/, ''));
+  if (!tool) {
+    errors.push(`unknown tool "${entry.tool}"`);
+    return errors;
+  }
+
+  const params = entry.params === undefined ? {} : entry.params;
+  errors.push(...validateAgainstSchema(params, tool.inputSchema || { type: 'object' }));
+
+  return errors;
+}
+
+/**
+ * Validate a whole execution plan
+ * @param {Array<Object>} plan - Execution plan
+ * @param {Map<string, Object>} tools - Discovered MCP tools keyed by name
+ * @param {number} stepCount - Number of steps in the test
+ * @returns {Array<Object>} - Issues as { entry, stepIndex, tool, errors }
+ */
+export function validatePlan(plan, tools, stepCount) {
+  if (!Array.isArray(plan)) {
+    return [{ entry: null, stepIndex: null, tool: null, errors: ['plan must be a JSON array'] }];
+  }
+
+  return plan
+    .map((entry, idx) => ({
+      entry: idx + 1,
+      stepIndex: entry?.stepIndex ?? null,
+      tool: entry?.tool ?? null,
+      errors: validatePlanEntry(entry, tools, stepCount)
+    }))
+    .filter(issue => issue.errors.length > 0);
+}
+
+/**
+ * Format validation issues as a readable per-step report
+ * @param {Array<Object>} issues - Issues returned by validatePlan()
+ * @returns {string} - Multi-line report
+ */
+export function formatValidationReport(issues) {
+  return issues.map(issue => {
+    const label = issue.entry === null
+      ? 'Plan'
+      : `Entry ${issue.entry} (step ${issue.stepIndex ?? '?'}, ${issue.tool || 'no tool'})`;
+    return `${label}:\n${issue.errors.map(err => `  - ${err}`).join('\n')}`;
+  }).join('\n');
+}
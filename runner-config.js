@@ -0,0 +1,312 @@
+/**
+ * Runner Configuration
+ * Resolves the runner settings from four layers, lowest precedence first:
+ *
+ *   defaults → config file (mcp-runner.config.json) → environment → CLI flags
+ *
+ * Every setting is declared once in SETTINGS with its config path, its
+ * environment variable and its CLI flag, and the source of each resolved
+ * value is kept so it can be shown with --print-config.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PROVIDERS, LIVE_PROVIDERS, API_KEY_ENV, parseProviderSpec } from './llm-factory.js';
+import { resolveDevice } from './devices.js';
+
+export const DEFAULT_CONFIG_FILE = 'mcp-runner.config.json';
+
+export const BROWSERS = ['chromium', 'chrome', 'firefox', 'webkit', 'msedge'];
+
+/**
+ * All configurable settings
+ * - key: path in the config object (and in the config file)
+ * - env: environment variable, if any
+ * - flag: CLI flag, if any
+ * - type: string | boolean | integer | number | enum | viewport | list
+ * - check: optional validator for each list item, throws on invalid items
+ * - fileKey: false when the setting must not be stored in the config file
+ */
+export const SETTINGS = [
+  { key: 'llm.provider', env: 'LLM_PROVIDER', flag: 'provider', type: 'enum', values: PROVIDERS, default: 'openai' },
+  { key: 'llm.recordProvider', env: 'LLM_RECORD_PROVIDER', flag: 'record-provider', type: 'enum', values: LIVE_PROVIDERS, default: 'openai' },
+  { key: 'llm.fixturesDir', env: 'LLM_FIXTURES_DIR', flag: 'fixtures-dir', type: 'string', default: '.test-cache/llm-fixtures' },
+  { key: 'llm.apiKey', env: 'LLM_API_KEY', type: 'string', default: null, secret: true, fileKey: false }, // null = the provider's variable, see API_KEY_ENV
+  { key: 'llm.model', env: 'LLM_MODEL', flag: 'model', type: 'string', default: null }, // null = the provider's default model
+  { key: 'llm.allowedModels', env: 'LLM_ALLOWED_MODELS', type: 'list', default: [] }, // [] = any model
+  { key: 'llm.baseUrl', env: 'LLM_BASE_URL', flag: 'base-url', type: 'string', default: null }, // openai-compatible only
+  { key: 'llm.temperature', env: 'LLM_TEMPERATURE', flag: 'temperature', type: 'number', min: 0, max: 2, default: 1 },
+  { key: 'llm.priceFile', env: 'LLM_PRICE_FILE', type: 'string', default: null }, // null = built-in prices, see llm-usage.js
+  { key: 'llm.retries', env: 'LLM_RETRIES', flag: 'llm-retries', type: 'integer', min: 0, default: 2 },
+  { key: 'llm.retryDelay', env: 'LLM_RETRY_DELAY', type: 'integer', min: 0, default: 2000 }, // ms before the first retry, doubled for each further retry
+  { key: 'llm.fallbackProviders', env: 'LLM_FALLBACK_PROVIDERS', flag: 'fallback-providers', type: 'list', check: parseProviderSpec, default: [] }, // "provider" or "provider:model"
+  { key: 'llm.budget', env: 'LLM_BUDGET', flag: 'budget', type: 'number', min: 0, default: 0 }, // USD per run, 0 = no budget
+
+  { key: 'browser.name', env: 'MCP_BROWSER', flag: 'browser', type: 'enum', values: BROWSERS, default: 'chromium' },
+  { key: 'browser.matrix', env: 'MCP_BROWSERS', flag: 'browsers', type: 'list', values: BROWSERS, default: [] }, // [] = test file "browsers", else browser.name
+  { key: 'browser.devices', env: 'MCP_DEVICES', flag: 'devices', type: 'list', check: resolveDevice, default: [] }, // [] = test file "devices", else browser.viewport
+  { key: 'browser.headless', env: 'MCP_HEADLESS', flag: 'headless', type: 'boolean', default: false },
+  { key: 'browser.viewport', env: 'MCP_VIEWPORT', flag: 'viewport', type: 'viewport', default: { width: 1280, height: 720 } },
+  { key: 'browser.userDataDir', env: 'MCP_USER_DATA_DIR', type: 'string', default: null }, // null = Playwright MCP default profile
+
+  { key: 'reporting.outputDir', env: 'MCP_OUTPUT_DIR', flag: 'output-dir', type: 'string', default: 'test-reports' },
+  { key: 'reporting.screenshotsDir', env: 'MCP_SCREENSHOTS_DIR', flag: 'screenshots-dir', type: 'string', default: 'mcp-workspace/test-screenshots' },
+
+  { key: 'runner.mode', env: 'MCP_MODE', flag: 'mode', type: 'enum', values: ['plan', 'live'], default: 'plan' },
+  { key: 'runner.planCache', env: 'MCP_PLAN_CACHE', type: 'enum', values: ['auto', 'refresh', 'frozen'], default: 'auto' },
+  { key: 'runner.planCacheDir', env: 'MCP_PLAN_CACHE_DIR', type: 'string', default: '.test-cache/plans' },
+  { key: 'runner.toolCache', env: 'MCP_TOOL_CACHE', type: 'string', default: '.test-cache/mcp-tools.json' },
+  { key: 'runner.maxRepairAttempts', env: 'MAX_REPAIR_ATTEMPTS', type: 'integer', min: 0, default: 2 },
+  { key: 'runner.maxPlanRepairRounds', env: 'MAX_PLAN_REPAIR_ROUNDS', type: 'integer', min: 0, default: 1 },
+  { key: 'runner.failurePolicy', env: 'MCP_FAILURE_POLICY', flag: 'failure-policy', type: 'enum', values: ['continue', 'stop-test', 'stop-on-assertion'], default: 'continue' },
+  { key: 'runner.retries', env: 'MCP_RETRIES', flag: 'retries', type: 'integer', min: 0, default: 0 },
+  { key: 'runner.workers', env: 'MCP_WORKERS', flag: 'workers', type: 'integer', min: 1, default: 1 },
+  { key: 'runner.sessionsDir', env: 'MCP_SESSIONS_DIR', type: 'string', default: 'mcp-workspace/sessions' },
+  { key: 'runner.sessionMaxAge', env: 'MCP_SESSION_MAX_AGE', flag: 'session-max-age', type: 'integer', min: 0, default: 3600 }, // seconds
+  { key: 'runner.envFile', env: 'MCP_ENV_FILE', type: 'string', default: '.env' },
+  { key: 'runner.secrets', env: 'MCP_SECRETS', type: 'list', default: [] },
+  { key: 'runner.timeouts.tool', env: 'MCP_TOOL_TIMEOUT', flag: 'tool-timeout', type: 'integer', min: 0, default: 60000 },
+  { key: 'runner.timeouts.llm', env: 'MCP_LLM_TIMEOUT', flag: 'llm-timeout', type: 'integer', min: 0, default: 180000 },
+  { key: 'runner.timeouts.test', env: 'MCP_TEST_TIMEOUT', flag: 'test-timeout', type: 'integer', min: 0, default: 900000 }
+];
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object - Source object
+ * @param {string} key - Dotted path, e.g. "runner.timeouts.tool"
+ * @returns {*}
+ */
+export function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+/**
+ * Write a dotted path into an object, creating intermediate objects
+ * @param {Object} object - Target object
+ * @param {string} key - Dotted path
+ * @param {*} value - Value to set
+ */
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node[part] ??= {}), object);
+  parent[last] = value;
+}
+
+/**
+ * Build a config object holding the default of every setting
+ * @returns {Object}
+ */
+export function createDefaultConfig() {
+  const config = {};
+  for (const setting of SETTINGS) {
+    setPath(config, setting.key, structuredClone(setting.default));
+  }
+  config.reporting.reportSuffix = '';
+  return config;
+}
+
+/**
+ * Describe the values a setting accepts, for error messages
+ * @param {Object} setting - Entry of SETTINGS
+ * @returns {string}
+ */
+function describeExpected(setting) {
+  switch (setting.type) {
+    case 'boolean': return 'true or false';
+    case 'integer': return `an integer >= ${setting.min}`;
+    case 'number': return setting.max !== undefined ? `a number between ${setting.min} and ${setting.max}` : `a number >= ${setting.min}`;
+    case 'enum': return `one of: ${setting.values.join(', ')}`;
+    case 'viewport': return 'WIDTHxHEIGHT, e.g. 1280x720';
+    case 'list': return setting.values ? `a list of: ${setting.values.join(', ')}` : 'a list of names';
+    default: return 'a non-empty string';
+  }
+}
+
+/**
+ * Convert a raw value (JSON value, env string or CLI string) to the type of a setting
+ * @param {Object} setting - Entry of SETTINGS
+ * @param {*} raw - Raw value
+ * @param {string} origin - Where the value comes from, used in error messages
+ * @returns {*} - Typed value
+ * @throws {Error} If the value is not valid for the setting
+ */
+export function coerceSetting(setting, raw, origin) {
+  const invalid = () => new Error(`Invalid ${origin} ${JSON.stringify(raw)}. Expected ${describeExpected(setting)}.`);
+  const text = typeof raw === 'string' ? raw.trim() : null;
+
+  switch (setting.type) {
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      if (['1', 'true', 'yes'].includes(text?.toLowerCase())) return true;
+      if (['0', 'false', 'no'].includes(text?.toLowerCase())) return false;
+      throw invalid();
+    }
+    case 'integer':
+    case 'number': {
+      const number = text !== null ? (text === '' ? NaN : Number(text)) : raw;
+      if (typeof number !== 'number' || !Number.isFinite(number)) throw invalid();
+      if (setting.type === 'integer' && !Number.isInteger(number)) throw invalid();
+      if (number < setting.min || (setting.max !== undefined && number > setting.max)) throw invalid();
+      return number;
+    }
+    case 'enum': {
+      if (!setting.values.includes(text)) throw invalid();
+      return text;
+    }
+    case 'viewport': {
+      if (raw && typeof raw === 'object' && Number.isInteger(raw.width) && Number.isInteger(raw.height) && raw.width > 0 && raw.height > 0) {
+        return { width: raw.width, height: raw.height };
+      }
+      const match = /^(\d+)x(\d+)$/.exec(text ?? '');
+      if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) throw invalid();
+      return { width: Number(match[1]), height: Number(match[2]) };
+    }
+    case 'list': {
+      let items;
+      if (Array.isArray(raw) && raw.every(item => typeof item === 'string')) items = raw;
+      else if (text !== null) items = text.split(',');
+      else throw invalid();
+      items = [...new Set(items.map(item => item.trim()).filter(Boolean))];
+      if (setting.values && !items.every(item => setting.values.includes(item))) throw invalid();
+      for (const item of items) {
+        try {
+          setting.check?.(item);
+        } catch (err) {
+          throw new Error(`Invalid ${origin} ${JSON.stringify(raw)}: ${err.message}.`);
+        }
+      }
+      return items;
+    }
+    default: {
+      if (raw === null && setting.default === null) return null;
+      if (!text) throw invalid();
+      return text;
+    }
+  }
+}
+
+/**
+ * Read and parse the JSON config file
+ * @param {string} filePath - Config file path
+ * @returns {Object}
+ * @throws {Error} If the file is not valid JSON or not an object
+ */
+function readConfigFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read config file ${filePath}: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object`);
+  }
+  return data;
+}
+
+/**
+ * Collect the dotted paths of all leaf values in a config file
+ * Viewports may be given as { width, height }, so they count as a leaf.
+ * @param {Object} data - Parsed config file
+ * @param {string} [prefix]
+ * @returns {Array<string>}
+ */
+function listFileKeys(data, prefix = '') {
+  return Object.entries(data).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const isSection = value && typeof value === 'object' && !Array.isArray(value) && key !== 'browser.viewport';
+    return isSection ? listFileKeys(value, key) : [key];
+  });
+}
+
+/**
+ * Resolve the runner configuration from all layers
+ * @param {Object} options
+ * @param {string|null} [options.configFile] - Explicit config file path (must exist)
+ * @param {Object} [options.env] - Environment variables
+ * @param {Object} [options.cli] - CLI overrides as { [settingKey]: { value, flag } }
+ * @returns {{config: Object, sources: Object, configFile: string|null}} - Config and the source of every setting
+ * @throws {Error} If any layer holds an invalid value or the config file has unknown keys
+ */
+export function loadConfig({ configFile = null, env = process.env, cli = {} } = {}) {
+  const config = createDefaultConfig();
+  const sources = Object.fromEntries(SETTINGS.map(setting => [setting.key, 'default']));
+  const errors = [];
+
+  const apply = (setting, raw, origin, source) => {
+    try {
+      setPath(config, setting.key, coerceSetting(setting, raw, origin));
+      sources[setting.key] = source;
+    } catch (err) {
+      errors.push(err.message);
+    }
+  };
+
+  // Config file
+  const filePath = configFile || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  if (filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+    const data = readConfigFile(filePath);
+    const label = path.basename(filePath);
+
+    for (const key of listFileKeys(data)) {
+      const setting = SETTINGS.find(item => item.key === key && item.fileKey !== false);
+      if (!setting) {
+        errors.push(`Unknown setting "${key}" in ${filePath}`);
+        continue;
+      }
+      apply(setting, getPath(data, key), `"${key}" in ${filePath}`, label);
+    }
+  }
+
+  // Environment
+  for (const setting of SETTINGS) {
+    if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+      apply(setting, env[setting.env], setting.env, `env ${setting.env}`);
+    }
+  }
+
+  // CLI flags
+  for (const [key, { value, flag }] of Object.entries(cli)) {
+    const setting = SETTINGS.find(item => item.key === key);
+    apply(setting, value, `--${flag}`, `--${flag}`);
+  }
+
+  // Without LLM_API_KEY, the key comes from the variable of the chosen provider
+  const keyProvider = config.llm.provider === 'record' ? config.llm.recordProvider : config.llm.provider;
+  const keyEnv = API_KEY_ENV[keyProvider];
+  if (!config.llm.apiKey && keyEnv && env[keyEnv]) {
+    config.llm.apiKey = env[keyEnv];
+    sources['llm.apiKey'] = `env ${keyEnv}`;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return { config, sources, configFile: filePath };
+}
+
+/**
+ * Format the resolved settings and their sources as a table
+ * @param {Object} config - Resolved config
+ * @param {Object} sources - Source of every setting, from loadConfig()
+ * @returns {string}
+ */
+export function formatConfig(config, sources) {
+  const rows = SETTINGS.map(setting => {
+    let value = getPath(config, setting.key);
+    if (setting.secret && value) value = '******';
+    else if (setting.type === 'viewport') value = `${value.width}x${value.height}`;
+    else value = JSON.stringify(value);
+    return [setting.key, value, sources[setting.key]];
+  });
+
+  const widths = [0, 1].map(col => Math.max(...rows.map(row => row[col].length)));
+  return rows
+    .map(([key, value, source]) => `  ${key.padEnd(widths[0])}  ${value.padEnd(widths[1])}  (${source})`)
+    .join('\n');
+}
@@ -0,0 +1,65 @@
+/**
+ * Session Store
+ * Keeps browser storage state (cookies, localStorage) saved by session
+ * setup tests, so other tests can start already logged in.
+ *
+ * A test declaring `saveSession: <name>` writes the state at the end of its
+ * steps; tests declaring `useSession: <name>` launch the MCP server with it.
+ * Saved states expire after maxAge seconds and are then rebuilt by running
+ * the setup test again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class SessionStore {
+  /**
+   * @param {string} sessionsDir - Directory holding the state files
+   * @param {number} maxAge - Seconds a saved state stays valid (0 = always rebuild)
+   */
+  constructor(sessionsDir = 'mcp-workspace/sessions', maxAge = 3600) {
+    this.sessionsDir = sessionsDir;
+    this.maxAge = maxAge;
+  }
+
+  /**
+   * Get the state file path for a session
+   * @param {string} name - Session name
+   * @returns {string} - Absolute file path
+   */
+  getStateFile(name) {
+    const sanitizedName = name.replace(/[^a-zA-Z0-9-_.]/g, '_').toLowerCase();
+    return path.resolve(this.sessionsDir, `${sanitizedName}.storage.json`);
+  }
+
+  /**
+   * Get how long ago a session was saved
+   * @param {string} name - Session name
+   * @returns {number|null} - Age in milliseconds, or null if it was never saved
+   */
+  getAge(name) {
+    const stateFile = this.getStateFile(name);
+    if (!fs.existsSync(stateFile)) return null;
+    return Date.now() - fs.statSync(stateFile).mtimeMs;
+  }
+
+  /**
+   * Check whether a session has been saved and has not expired
+   * @param {string} name - Session name
+   * @returns {boolean}
+   */
+  isFresh(name) {
+    const age = this.getAge(name);
+    return age !== null && age < this.maxAge * 1000;
+  }
+
+  /**
+   * Delete a saved session, e.g. after its setup test failed
+   * @param {string} name - Session name
+   */
+  invalidate(name) {
+    fs.rmSync(this.getStateFile(name), { force: true });
+  }
+}
+
+export default SessionStore;
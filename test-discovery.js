@@ -0,0 +1,230 @@
+/**
+ * Test Discovery
+ * Finds test files from paths and glob patterns, and filters them by
+ * name and tags.
+ *
+ * Supported glob syntax: * (within a path segment), ** (any number of
+ * directories), ? (single character) and {a,b} alternatives.
+ *
+ * A suite config (suite.config.yml) in a scanned folder holds the suite
+ * hooks and is never run as a test.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseTestFile } from './test-parser.js';
+
+const TEST_FILE_PATTERN = /\.ya?ml$/;
+const GLOB_CHARS = /[*?{]/;
+
+export const SUITE_FILES = ['suite.config.yml', 'suite.config.yaml'];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern using "/" separators
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        i++;
+        if (pattern[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) > i) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively list test files below a directory
+ * Hidden directories and node_modules are skipped.
+ * @param {string} dirPath - Directory to scan
+ * @returns {Array<string>} - File paths (joined onto dirPath)
+ */
+function walkTestFiles(dirPath) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const fullPath = path.join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      files.push(...walkTestFiles(fullPath));
+    } else if (entry.isFile() && TEST_FILE_PATTERN.test(entry.name) && !SUITE_FILES.includes(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Get the directory a glob pattern starts matching in, e.g. "tests" for "tests/**\/*.yml"
+ * @param {string} pattern - Glob pattern
+ * @returns {string}
+ */
+function globBaseDir(pattern) {
+  const normalized = pattern.split(path.sep).join('/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+  return segments.slice(0, firstGlob).join('/') || (normalized.startsWith('/') ? '/' : '.');
+}
+
+/**
+ * Find test files for a file path, a directory (scanned recursively) or a glob pattern
+ * @param {string} target - File, directory or glob pattern
+ * @returns {Array<string>} - Sorted absolute file paths
+ * @throws {Error} If a plain path does not exist or is not a YAML file
+ */
+export function getTestFiles(target) {
+  if (GLOB_CHARS.test(target)) {
+    const normalized = target.split(path.sep).join('/');
+    const baseDir = globBaseDir(target);
+    const matcher = globToRegExp(normalized.replace(/^\.\//, ''));
+
+    if (!fs.existsSync(baseDir)) return [];
+
+    return walkTestFiles(baseDir)
+      .filter(file => matcher.test(file.split(path.sep).join('/').replace(/^\.\//, '')))
+      .map(file => path.resolve(file))
+      .sort();
+  }
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Path does not exist: ${target}`);
+  }
+
+  const stats = fs.statSync(target);
+
+  // If it's a file, return it directly
+  if (stats.isFile()) {
+    if (TEST_FILE_PATTERN.test(target)) {
+      return [path.resolve(target)];
+    }
+    throw new Error(`File must be a .yml or .yaml file: ${target}`);
+  }
+
+  return walkTestFiles(target).map(file => path.resolve(file)).sort();
+}
+
+/**
+ * Find the suite config of the given targets: the suite.config.yml in the
+ * folder passed (or the folder of a file, or the base folder of a glob)
+ * @param {Array<string>} targets - Files, directories or glob patterns
+ * @returns {string|null} - Absolute suite config path, or null if there is none
+ * @throws {Error} If the targets have different suite configs
+ */
+export function findSuiteFile(targets) {
+  const suiteFiles = new Set();
+
+  for (const target of targets) {
+    let dir;
+    if (GLOB_CHARS.test(target)) {
+      dir = globBaseDir(target);
+    } else if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      dir = target;
+    } else {
+      dir = path.dirname(target);
+    }
+
+    const suiteFile = SUITE_FILES.map(name => path.resolve(dir, name)).find(file => fs.existsSync(file));
+    if (suiteFile) suiteFiles.add(suiteFile);
+  }
+
+  if (suiteFiles.size > 1) {
+    throw new Error(`Tests from several suites were given (${[...suiteFiles].map(file => path.relative(process.cwd(), file)).join(', ')}); run them separately or pick one with --suite`);
+  }
+  return [...suiteFiles][0] || null;
+}
+
+/**
+ * Name a test file by its path relative to the working directory, so
+ * tests with the same file name in different folders stay apart
+ * @param {string} testFile - Absolute test file path
+ * @returns {string} - e.g. "tests/admin/login.yml"
+ */
+export function testPath(testFile) {
+  return path.relative(process.cwd(), testFile);
+}
+
+/**
+ * Find test files for several targets, without duplicates
+ * @param {Array<string>} targets - Files, directories or glob patterns
+ * @returns {Array<string>} - Sorted absolute file paths
+ */
+export function findTestFiles(targets) {
+  return [...new Set(targets.flatMap(target => getTestFiles(target)))].sort();
+}
+
+/**
+ * Read the name, tags and sessions of each test file.
+ * Step libraries included by any of the files are not tests themselves
+ * and are left out, so a directory can hold both.
+ * @param {Array<string>} testFiles - Absolute file paths
+ * @returns {Array<Object>} - Entries as { file, name, tags, saveSession, useSession, examples, error }
+ */
+export function describeTests(testFiles) {
+  const libraries = new Set();
+  const tests = testFiles.map(file => {
+    try {
+      const test = parseTestFile(fs.readFileSync(file, 'utf8'), file);
+      test.libraries.forEach(library => libraries.add(library));
+      return { file, name: test.name, tags: test.tags, saveSession: test.saveSession, useSession: test.useSession, examples: test.examples.length, error: null };
+    } catch (err) {
+      (err.libraries || []).forEach(library => libraries.add(library));
+      return { file, name: path.basename(file), tags: [], saveSession: null, useSession: null, examples: 0, error: err.message };
+    }
+  });
+  return tests.filter(test => !libraries.has(test.file));
+}
+
+/**
+ * Filter test entries by name and tags
+ * Files that cannot be parsed are kept whatever the tag filters, since
+ * their tags are unknown, so that broken files show up as failures.
+ * @param {Array<Object>} tests - Entries from describeTests()
+ * @param {Object} filters
+ * @param {RegExp|null} [filters.grep] - Pattern the test name (or file path) must match
+ * @param {Array<string>} [filters.tags] - Keep tests having at least one of these tags
+ * @param {Array<string>} [filters.excludeTags] - Drop tests having any of these tags
+ * @returns {Array<Object>} - Matching entries
+ */
+export function filterTests(tests, { grep = null, tags = [], excludeTags = [] } = {}) {
+  return tests.filter(test => {
+    if (grep && !grep.test(test.name) && !grep.test(test.file)) return false;
+    if (test.error) return true;
+    if (tags.length > 0 && !test.tags.some(tag => tags.includes(tag))) return false;
+    if (excludeTags.length > 0 && test.tags.some(tag => excludeTags.includes(tag))) return false;
+    return true;
+  });
+}
@@ -0,0 +1,631 @@
+/**
+ * Test File Parser
+ * Turns a test file into a normalized test definition.
+ *
+ * Two formats are supported:
+ * - Structured YAML: a mapping with name, description, tags, browsers,
+ *   devices, saveSession, useSession, baseUrl, variables, secrets, examples,
+ *   setup, steps and teardown
+ * - Plain text (legacy): every line starting with "-" is a step, everything
+ *   else is passed to the planner as context
+ *
+ * Step lists in YAML tests can pull in steps from shared step libraries:
+ * - `include: shared/cookies.yml` inlines the library's steps
+ * - `call: shared/login.yml` with `with: { username: admin }` inlines them
+ *   with {{param}} placeholders replaced by the given arguments
+ * A library is a YAML file with `steps` and optional `name`, `description`
+ * and `params` (a list of required names, or a mapping of names to
+ * defaults, where null means required). Paths are relative to the including
+ * file; libraries may include others, but not recursively.
+ *
+ * Every step records its source as a list of "file:line" frames, innermost
+ * first, so reports can show where an included step came from.
+ *
+ * A suite config (suite.config.yml) holds hooks for all tests of a folder:
+ * beforeAll/afterAll run once around the suite, beforeEach/afterEach are
+ * added to every test as extra sections around setup and teardown.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { BROWSERS } from './runner-config.js';
+import { resolveDevice } from './devices.js';
+import { loadExamplesFile, resolveExamples } from './examples.js';
+
+const KNOWN_KEYS = ['name', 'description', 'tags', 'browsers', 'devices', 'saveSession', 'useSession', 'baseUrl', 'variables', 'secrets', 'examples', 'setup', 'steps', 'teardown'];
+// In execution order; a failed step in a setup section skips the rest of the
+// test, teardown sections run even after failures
+export const STEP_SECTIONS = ['beforeAll', 'beforeEach', 'setup', 'steps', 'teardown', 'afterEach', 'afterAll'];
+export const SETUP_SECTIONS = ['beforeAll', 'beforeEach', 'setup'];
+export const TEARDOWN_SECTIONS = ['teardown', 'afterEach', 'afterAll'];
+export const HOOKS = ['beforeAll', 'beforeEach', 'afterEach', 'afterAll'];
+
+const LIBRARY_KEYS = ['name', 'description', 'params', 'steps'];
+const SUITE_KEYS = ['name', 'description', 'baseUrl', ...HOOKS];
+
+/**
+ * Check whether a file uses the structured YAML format rather than the
+ * plain-text one: its root must be a mapping with at least one top-level key
+ * of the test format. Legacy plain-text tests often read as a mapping too
+ * (e.g. "Test: Login" followed by "Steps:"), but never with those keys.
+ * A malformed file counts as structured on the same keys, so its syntax
+ * errors are reported.
+ * @param {string} content - Raw file content
+ * @returns {boolean}
+ */
+export function isStructuredTest(content) {
+  const doc = YAML.parseDocument(content);
+  if (doc.errors.length === 0) {
+    return YAML.isMap(doc.contents) &&
+      doc.contents.items.some(pair => YAML.isScalar(pair.key) && KNOWN_KEYS.includes(String(pair.key.value)));
+  }
+  return new RegExp(`^(${KNOWN_KEYS.join('|')})\\s*:`, 'm').test(content);
+}
+
+/**
+ * Build a "file:line:column message" string for a YAML node
+ * @param {string} filePath - Test file path
+ * @param {YAML.LineCounter} lineCounter - Line counter used while parsing
+ * @param {Object|null} node - YAML node the error refers to
+ * @param {string} message - Error message
+ * @returns {string}
+ */
+function locate(filePath, lineCounter, node, message) {
+  if (!node || !node.range) return `${filePath}: ${message}`;
+  const { line, col } = lineCounter.linePos(node.range[0]);
+  return `${filePath}:${line}:${col} ${message}`;
+}
+
+/**
+ * Parse YAML content, keeping line positions for error messages
+ * @param {string} content - Raw file content
+ * @param {string} filePath - File path, used in error messages
+ * @returns {{doc: YAML.Document, lineCounter: YAML.LineCounter}}
+ * @throws {Error} If the YAML is malformed
+ */
+function parseYaml(content, filePath) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(content, { lineCounter });
+
+  if (doc.errors.length > 0) {
+    const details = doc.errors.map(err => {
+      const pos = err.linePos?.[0];
+      const where = pos ? `${filePath}:${pos.line}:${pos.col}` : filePath;
+      return `  ${where} ${err.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}`;
+    });
+    throw new Error(`Malformed YAML in ${filePath}:\n${details.join('\n')}`);
+  }
+
+  return { doc, lineCounter };
+}
+
+/**
+ * Format a step source frame, e.g. "tests/login.test.yaml:7"
+ * @param {string} filePath - File the step is written in
+ * @param {number} line - 1-based line
+ * @returns {string}
+ */
+function sourceFrame(filePath, line) {
+  return `${path.relative(process.cwd(), filePath)}:${line}`;
+}
+
+/**
+ * Parse a list of steps, expanding include/call directives
+ * @param {YAML.Node} node - Sequence node of the list
+ * @param {string} key - Name of the list, used in error messages
+ * @param {Object} context - Parsing context
+ * @param {string} context.filePath - File the list is written in
+ * @param {YAML.LineCounter} context.lineCounter - Line counter of that file
+ * @param {Array<string>} context.errors - Collected error messages
+ * @param {Array<string>} context.stack - Absolute paths of the files being included, outermost first
+ * @param {Array<string>} context.via - Source frames of the directives that included this file
+ * @param {Set<string>} context.libraries - Collects the absolute paths of all included libraries
+ * @returns {Array<Object>} - Steps as { text, line, source }
+ */
+function parseStepList(node, key, context) {
+  const { filePath, lineCounter, errors, via } = context;
+
+  if (node === undefined || node === null) return [];
+  if (!YAML.isSeq(node)) {
+    errors.push(locate(filePath, lineCounter, node, `"${key}" must be a list of steps`));
+    return [];
+  }
+
+  return node.items.flatMap(item => {
+    if (YAML.isMap(item)) {
+      return expandDirective(item, context);
+    }
+    if (!YAML.isScalar(item) || typeof item.value !== 'string' || !item.value.trim()) {
+      errors.push(locate(filePath, lineCounter, item, `each entry in "${key}" must be a non-empty step string or an include/call directive`));
+      return [];
+    }
+    const line = lineCounter.linePos(item.range[0]).line;
+    return [{ text: item.value.trim(), line, source: [sourceFrame(filePath, line), ...via] }];
+  });
+}
+
+/**
+ * Expand an include or call directive into the steps of its library
+ * @param {YAML.YAMLMap} item - Directive node, e.g. { call: shared/login.yml, with: { user: admin } }
+ * @param {Object} context - Parsing context, see parseStepList()
+ * @returns {Array<Object>} - Library steps with their parameters substituted
+ */
+function expandDirective(item, context) {
+  const { filePath, lineCounter, errors, stack, via, libraries } = context;
+  const fail = (node, message) => {
+    errors.push(locate(filePath, lineCounter, node, message));
+    return [];
+  };
+
+  const keys = item.items.map(pair => (YAML.isScalar(pair.key) ? String(pair.key.value) : null));
+  const directive = keys.includes('call') ? 'call' : keys.includes('include') ? 'include' : null;
+  if (!directive) {
+    return fail(item, 'step directive must be "include: <file>" or "call: <file>" with optional "with"');
+  }
+  const allowed = directive === 'call' ? ['call', 'with'] : ['include'];
+  const unknown = keys.filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return fail(item, `unknown key(s) ${unknown.join(', ')} in "${directive}" directive (expected: ${allowed.join(', ')})`);
+  }
+
+  const target = item.get(directive, true);
+  if (!YAML.isScalar(target) || typeof target.value !== 'string' || !target.value.trim()) {
+    return fail(target || item, `"${directive}" must be the path of a step library`);
+  }
+
+  const args = {};
+  const withNode = item.get('with', true);
+  if (withNode !== undefined && withNode !== null) {
+    if (!YAML.isMap(withNode)) {
+      return fail(withNode, '"with" must be a mapping of parameter names to values');
+    }
+    for (const pair of withNode.items) {
+      if (!YAML.isScalar(pair.value) || pair.value.value === null || typeof pair.value.value === 'object') {
+        return fail(pair.value || pair.key, `argument "${pair.key.value}" must be a string, number or boolean`);
+      }
+      args[String(pair.key.value)] = String(pair.value.value);
+    }
+  }
+
+  const libraryPath = path.resolve(path.dirname(filePath), target.value.trim());
+  if (stack.includes(libraryPath)) {
+    const chain = [...stack.slice(stack.indexOf(libraryPath)), libraryPath].map(file => path.relative(process.cwd(), file));
+    return fail(target, `recursive include: ${chain.join(' -> ')}`);
+  }
+  if (!fs.existsSync(libraryPath)) {
+    return fail(target, `step library ${path.relative(process.cwd(), libraryPath)} does not exist`);
+  }
+
+  libraries.add(libraryPath);
+  const line = lineCounter.linePos(item.range[0]).line;
+  let library;
+  try {
+    library = parseLibrary(libraryPath, {
+      errors,
+      stack: [...stack, libraryPath],
+      via: [sourceFrame(filePath, line), ...via],
+      libraries
+    });
+  } catch (err) {
+    return fail(target, err.message);
+  }
+
+  const unknownArgs = Object.keys(args).filter(name => !Object.hasOwn(library.params, name));
+  if (unknownArgs.length > 0) {
+    return fail(withNode, `unknown parameter(s) ${unknownArgs.join(', ')} for ${target.value} (expected: ${Object.keys(library.params).join(', ') || 'none'})`);
+  }
+  const values = { ...library.params, ...args };
+  const missing = Object.keys(values).filter(name => values[name] === null);
+  if (missing.length > 0) {
+    return fail(item, `${target.value} requires parameter(s) ${missing.join(', ')}${directive === 'include' ? ' (use "call" with "with")' : ''}`);
+  }
+
+  return library.steps.map(step => ({
+    ...step,
+    text: step.text.replace(/\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g, (placeholder, name) => (
+      Object.hasOwn(values, name) ? values[name] : placeholder
+    ))
+  }));
+}
+
+/**
+ * Parse a step library file
+ * @param {string} libraryPath - Absolute library path
+ * @param {Object} context - Parsing context without the file fields, see parseStepList()
+ * @returns {{params: Object, steps: Array<Object>}} - Parameter defaults (null = required) and steps
+ * @throws {Error} If the library YAML is malformed
+ */
+function parseLibrary(libraryPath, context) {
+  const { doc, lineCounter } = parseYaml(fs.readFileSync(libraryPath, 'utf8'), libraryPath);
+  const root = doc.contents;
+  const { errors } = context;
+  const fileContext = { ...context, filePath: libraryPath, lineCounter };
+
+  // A bare list is a library of steps without parameters
+  if (YAML.isSeq(root)) {
+    return { params: {}, steps: parseStepList(root, 'steps', fileContext) };
+  }
+  if (!YAML.isMap(root)) {
+    errors.push(locate(libraryPath, lineCounter, root, 'step library must be a list of steps or a mapping with "steps"'));
+    return { params: {}, steps: [] };
+  }
+
+  for (const pair of root.items) {
+    const key = YAML.isScalar(pair.key) ? String(pair.key.value) : null;
+    if (!LIBRARY_KEYS.includes(key)) {
+      errors.push(locate(libraryPath, lineCounter, pair.key, `unknown key "${key}" (expected one of: ${LIBRARY_KEYS.join(', ')})`));
+    }
+  }
+
+  const params = {};
+  const paramsNode = root.get('params', true);
+  if (YAML.isSeq(paramsNode) && paramsNode.items.every(item => YAML.isScalar(item) && typeof item.value === 'string')) {
+    paramsNode.items.forEach(item => { params[item.value] = null; });
+  } else if (YAML.isMap(paramsNode) && paramsNode.items.every(pair => pair.value === null || YAML.isScalar(pair.value))) {
+    paramsNode.items.forEach(pair => {
+      const value = pair.value?.value;
+      params[String(pair.key.value)] = value === null || value === undefined ? null : String(value);
+    });
+  } else if (paramsNode !== undefined && paramsNode !== null) {
+    errors.push(locate(libraryPath, lineCounter, paramsNode, '"params" must be a list of names or a mapping of names to defaults'));
+  }
+
+  if (!root.has('steps')) {
+    errors.push(locate(libraryPath, lineCounter, root, 'step library needs a "steps" list'));
+  }
+  return { params, steps: parseStepList(root.get('steps', true), 'steps', fileContext) };
+}
+
+/**
+ * Parse a structured YAML test file
+ * @param {string} content - Raw file content
+ * @param {string} filePath - Test file path, used in error messages
+ * @returns {Object} - Test definition
+ * @throws {Error} If the YAML is malformed or does not match the test schema
+ */
+function parseStructuredTest(content, filePath) {
+  const { doc, lineCounter } = parseYaml(content, filePath);
+
+  const errors = [];
+  const root = doc.contents;
+
+  if (!YAML.isMap(root)) {
+    throw new Error(locate(filePath, lineCounter, root, 'test file must be a mapping with a "steps" list'));
+  }
+
+  const nodes = {};
+  for (const pair of root.items) {
+    const key = YAML.isScalar(pair.key) ? String(pair.key.value) : null;
+    if (!KNOWN_KEYS.includes(key)) {
+      errors.push(locate(filePath, lineCounter, pair.key, `unknown key "${key}" (expected one of: ${KNOWN_KEYS.join(', ')})`));
+      continue;
+    }
+    nodes[key] = pair.value;
+  }
+
+  const stringField = (key) => {
+    const node = nodes[key];
+    if (node === undefined || node === null) return null;
+    if (!YAML.isScalar(node) || typeof node.value !== 'string') {
+      errors.push(locate(filePath, lineCounter, node, `"${key}" must be a string`));
+      return null;
+    }
+    return node.value;
+  };
+
+  const libraries = new Set();
+  const stepList = (key) => parseStepList(nodes[key], key, {
+    filePath,
+    lineCounter,
+    errors,
+    stack: [path.resolve(filePath)],
+    via: [],
+    libraries
+  });
+
+  let tags = [];
+  if (nodes.tags !== undefined && nodes.tags !== null) {
+    if (YAML.isScalar(nodes.tags) && typeof nodes.tags.value === 'string') {
+      tags = [nodes.tags.value];
+    } else if (YAML.isSeq(nodes.tags) && nodes.tags.items.every(t => YAML.isScalar(t) && typeof t.value === 'string')) {
+      tags = nodes.tags.items.map(t => t.value);
+    } else {
+      errors.push(locate(filePath, lineCounter, nodes.tags, '"tags" must be a string or a list of strings'));
+    }
+  }
+
+  let browsers = [];
+  if (nodes.browsers !== undefined && nodes.browsers !== null) {
+    const items = YAML.isSeq(nodes.browsers) ? nodes.browsers.items : [nodes.browsers];
+    for (const item of items) {
+      if (!YAML.isScalar(item) || !BROWSERS.includes(item.value)) {
+        errors.push(locate(filePath, lineCounter, item, `"browsers" entries must be one of: ${BROWSERS.join(', ')}`));
+        continue;
+      }
+      if (!browsers.includes(item.value)) browsers.push(item.value);
+    }
+  }
+
+  const devices = [];
+  if (nodes.devices !== undefined && nodes.devices !== null) {
+    const items = YAML.isSeq(nodes.devices) ? nodes.devices.items : [nodes.devices];
+    for (const item of items) {
+      try {
+        const device = resolveDevice(item?.toJSON ? item.toJSON() : item);
+        if (devices.some(other => other.name === device.name)) {
+          errors.push(locate(filePath, lineCounter, item, `duplicate device "${device.name}"`));
+          continue;
+        }
+        devices.push(device);
+      } catch (err) {
+        errors.push(locate(filePath, lineCounter, item, err.message));
+      }
+    }
+  }
+
+  const isPlainScalar = (node) => YAML.isScalar(node) && node.value !== null && typeof node.value !== 'object';
+
+  const secrets = [];
+  if (nodes.secrets !== undefined && nodes.secrets !== null) {
+    if (YAML.isSeq(nodes.secrets) && nodes.secrets.items.every(t => YAML.isScalar(t) && typeof t.value === 'string')) {
+      secrets.push(...nodes.secrets.items.map(t => t.value));
+    } else {
+      errors.push(locate(filePath, lineCounter, nodes.secrets, '"secrets" must be a list of variable names'));
+    }
+  }
+
+  const variables = {};
+  if (nodes.variables !== undefined && nodes.variables !== null) {
+    if (!YAML.isMap(nodes.variables)) {
+      errors.push(locate(filePath, lineCounter, nodes.variables, '"variables" must be a mapping of names to values'));
+    } else {
+      for (const pair of nodes.variables.items) {
+        const name = String(pair.key.value);
+
+        // Long form: { value: ..., secret: true }
+        if (YAML.isMap(pair.value)) {
+          const value = pair.value.get('value', true);
+          const secret = pair.value.get('secret');
+          if (!isPlainScalar(value) || (secret !== undefined && typeof secret !== 'boolean')) {
+            errors.push(locate(filePath, lineCounter, pair.value, `variable "${name}" must be a value or { value, secret }`));
+            continue;
+          }
+          variables[name] = value.value;
+          if (secret) secrets.push(name);
+          continue;
+        }
+
+        if (!isPlainScalar(pair.value)) {
+          errors.push(locate(filePath, lineCounter, pair.value || pair.key, `variable "${name}" must be a string, number or boolean`));
+          continue;
+        }
+        variables[name] = pair.value.value;
+      }
+    }
+  }
+
+  // Inline rows, or a CSV/JSON file relative to the test file
+  let examples = [];
+  if (nodes.examples !== undefined && nodes.examples !== null) {
+    try {
+      if (YAML.isScalar(nodes.examples) && typeof nodes.examples.value === 'string') {
+        const examplesFile = path.resolve(path.dirname(filePath), nodes.examples.value);
+        examples = resolveExamples(loadExamplesFile(examplesFile), `examples file ${examplesFile}`);
+      } else if (YAML.isSeq(nodes.examples)) {
+        examples = resolveExamples(nodes.examples.toJSON());
+      } else {
+        errors.push(locate(filePath, lineCounter, nodes.examples, '"examples" must be a list of rows or the path of a CSV/JSON file'));
+      }
+    } catch (err) {
+      // Point at the offending inline row when there is one
+      const node = YAML.isSeq(nodes.examples) && err.row !== undefined ? nodes.examples.items[err.row] : nodes.examples;
+      errors.push(locate(filePath, lineCounter, node, err.message));
+    }
+  }
+
+  const test = {
+    format: 'yaml',
+    name: stringField('name') || path.basename(filePath),
+    description: stringField('description'),
+    tags,
+    browsers,
+    devices,
+    saveSession: stringField('saveSession'),
+    useSession: stringField('useSession'),
+    baseUrl: stringField('baseUrl'),
+    variables,
+    secrets,
+    examples,
+    setup: stepList('setup'),
+    steps: stepList('steps'),
+    teardown: stepList('teardown'),
+    libraries: [...libraries],
+    filePath
+  };
+
+  if (!Object.hasOwn(nodes, 'steps')) {
+    errors.push(locate(filePath, lineCounter, root, 'missing required key "steps"'));
+  } else if (!errors.length && test.steps.length === 0) {
+    errors.push(locate(filePath, lineCounter, nodes.steps || root, '"steps" must contain at least one step'));
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid test file ${filePath}:\n${errors.map(err => `  ${err}`).join('\n')}`);
+    error.libraries = test.libraries;
+    throw error;
+  }
+
+  return test;
+}
+
+/**
+ * Parse a legacy plain-text test file, where lines starting with "-" are steps
+ * @param {string} content - Raw file content
+ * @param {string} filePath - Test file path
+ * @returns {Object} - Test definition
+ */
+function parsePlainTextTest(content, filePath) {
+  const steps = [];
+  content.split('\n').forEach((line, idx) => {
+    if (line.trim().startsWith('-')) {
+      steps.push({ text: line.trim(), line: idx + 1, source: [sourceFrame(filePath, idx + 1)] });
+    }
+  });
+
+  return {
+    format: 'text',
+    name: path.basename(filePath),
+    description: null,
+    tags: [],
+    browsers: [],
+    devices: [],
+    saveSession: null,
+    useSession: null,
+    baseUrl: null,
+    variables: {},
+    secrets: [],
+    examples: [],
+    setup: [],
+    steps,
+    teardown: [],
+    libraries: [],
+    filePath,
+    rawText: content
+  };
+}
+
+/**
+ * Parse a test file into a normalized test definition
+ * @param {string} content - Raw file content
+ * @param {string} filePath - Test file path
+ * @returns {Object} - Test definition
+ * @throws {Error} If a structured YAML file is malformed
+ */
+export function parseTestFile(content, filePath) {
+  return isStructuredTest(content)
+    ? parseStructuredTest(content, filePath)
+    : parsePlainTextTest(content, filePath);
+}
+
+/**
+ * Parse a suite config with the hooks of a test folder
+ * @param {string} content - Raw file content
+ * @param {string} filePath - Suite config path
+ * @returns {Object} - Suite as { name, description, baseUrl, beforeAll, beforeEach, afterEach, afterAll, libraries, filePath }
+ * @throws {Error} If the YAML is malformed or does not match the suite schema
+ */
+export function parseSuiteFile(content, filePath) {
+  const { doc, lineCounter } = parseYaml(content, filePath);
+  const root = doc.contents;
+  const errors = [];
+
+  if (root !== null && !YAML.isMap(root)) {
+    throw new Error(locate(filePath, lineCounter, root, 'suite config must be a mapping of hooks'));
+  }
+
+  for (const pair of root?.items || []) {
+    const key = YAML.isScalar(pair.key) ? String(pair.key.value) : null;
+    if (!SUITE_KEYS.includes(key)) {
+      errors.push(locate(filePath, lineCounter, pair.key, `unknown key "${key}" (expected one of: ${SUITE_KEYS.join(', ')})`));
+    }
+  }
+
+  const stringField = (key) => {
+    const node = root?.get(key, true);
+    if (node === undefined || node === null) return null;
+    if (!YAML.isScalar(node) || typeof node.value !== 'string') {
+      errors.push(locate(filePath, lineCounter, node, `"${key}" must be a string`));
+      return null;
+    }
+    return node.value;
+  };
+
+  const libraries = new Set();
+  const suite = {
+    name: stringField('name') || path.basename(path.dirname(filePath)),
+    description: stringField('description'),
+    baseUrl: stringField('baseUrl'),
+    ...Object.fromEntries(HOOKS.map(hook => [hook, parseStepList(root?.get(hook, true), hook, {
+      filePath,
+      lineCounter,
+      errors,
+      stack: [path.resolve(filePath)],
+      via: [],
+      libraries
+    })])),
+    libraries: [...libraries],
+    filePath
+  };
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid suite config ${filePath}:\n${errors.map(err => `  ${err}`).join('\n')}`);
+  }
+
+  return suite;
+}
+
+/**
+ * Build the test definition that runs a beforeAll or afterAll hook of a suite
+ * @param {Object} suite - Suite from parseSuiteFile()
+ * @param {string} hook - 'beforeAll' or 'afterAll'
+ * @returns {Object} - Test definition with only the hook's section
+ */
+export function createHookTest(suite, hook) {
+  return {
+    format: 'yaml',
+    name: `${suite.name} (${hook})`,
+    description: suite.description,
+    tags: [],
+    browsers: [],
+    devices: [],
+    saveSession: null,
+    useSession: null,
+    baseUrl: suite.baseUrl,
+    variables: {},
+    secrets: [],
+    examples: [],
+    setup: [],
+    steps: [],
+    teardown: [],
+    [hook]: suite[hook],
+    libraries: suite.libraries,
+    filePath: suite.filePath
+  };
+}
+
+/**
+ * Flatten hooks, setup, steps and teardown into one ordered step list
+ * @param {Object} test - Test definition
+ * @returns {Array<Object>} - Steps as { index, phase, text, line, source }, index is 1-based
+ */
+export function flattenSteps(test) {
+  return STEP_SECTIONS
+    .flatMap(phase => (test[phase] || []).map(step => ({ ...step, phase })))
+    .map((step, idx) => ({ ...step, index: idx + 1 }));
+}
+
+/**
+ * Render the test as the text sent to the planner
+ * @param {Object} test - Test definition
+ * @returns {string}
+ */
+export function renderTestText(test) {
+  if (test.format === 'text') {
+    // Hook steps go around the plain steps, in the order flattenSteps() numbers them
+    const hookLines = (phases) => phases.flatMap(phase => (test[phase] || []).map(step => `- [${phase}] ${step.text}`));
+    return [...hookLines(['beforeAll', 'beforeEach']), test.rawText, ...hookLines(['afterEach', 'afterAll'])].join('\n');
+  }
+
+  const lines = [`Test: ${test.name}`];
+  if (test.description) lines.push(`Description: ${test.description}`);
+  if (test.baseUrl) lines.push(`Base URL: ${test.baseUrl} (resolve relative URLs against it)`);
+  lines.push('', 'Steps:');
+
+  for (const step of flattenSteps(test)) {
+    const prefix = step.phase === 'steps' ? '' : `[${step.phase}] `;
+    lines.push(`- ${prefix}${step.text}`);
+  }
+
+  return lines.join('\n');
+}
@@ -10,6 +10,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import { formatCost } from './llm-usage.js';
 
 export class TestReportGenerator {
   constructor(config) {
@@ -20,6 +21,8 @@ export class TestReportGenerator {
       }
     };
     this.screenshotCounter = 0;
+    // Masks secret values before they are written to the report (set by the runner)
+    this.redact = (data) => data;
   }
 
   /**
@@ -105,8 +108,19 @@ export class TestReportGenerator {
     // Calculate overall test result based on individual action results
     testReport.testResult = testReport.failedActions === 0 ? 'pass' : 'fail';
 
+    // Passing only after earlier failed attempts makes the test flaky
+    if (testReport.testResult === 'pass' && testReport.previousAttempts && testReport.previousAttempts.length > 0) {
+      testReport.testResult = 'flaky';
+    }
+
+    // An interrupted run is incomplete whatever its executed steps did
+    if (testReport.interrupted) {
+      testReport.testResult = 'interrupted';
+    }
+
     const timestamp = Date.now();
-    const htmlReportFile = path.join(this.config.reporting.outputDir, `autonomous_mcp_report_${timestamp}.html`);
+    const suffix = this.config.reporting.reportSuffix || '';
+    const htmlReportFile = path.join(this.config.reporting.outputDir, `autonomous_mcp_report_${timestamp}${suffix}.html`);
 
     // Ensure directories exist
     this.ensureDirectories();
@@ -124,6 +138,77 @@ export class TestReportGenerator {
     };
   }
 
+  /**
+   * Generate an HTML report comparing the results of each test across browsers and devices
+   * @param {Array<Object>} results - Suite result entries ({ testName, variant, status, error, reportFile })
+   * @returns {string} - Matrix report file path
+   */
+  generateMatrixReport(results) {
+    const variants = [...new Set(results.map(result => result.variant).filter(Boolean))];
+    const testNames = [...new Set(results.map(result => result.testName))];
+
+    const rows = testNames.map(testName => {
+      const cells = variants.map(variant => {
+        const result = results.find(item => item.testName === testName && item.variant === variant);
+        if (!result) return '<td>-</td>';
+
+        const status = result.status.toLowerCase();
+        const badge = status === 'flaky' ? 'flaky'
+          : status === 'passed' ? 'passed'
+            : status === 'interrupted' || status === 'not run' ? 'skipped' : 'failed';
+        return `
+                    <td>
+                        <span class="status-badge ${badge}">${status}</span>
+                        ${result.reportFile ? `<a href="${path.basename(result.reportFile)}">report</a>` : ''}
+                        ${result.error ? `<div class="matrix-error">${this.redact(result.error)}</div>` : ''}
+                    </td>`;
+      }).join('');
+      return `
+                <tr>
+                    <td><strong>${testName}</strong></td>${cells}
+                </tr>`;
+    }).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Test Matrix Report</title>
+    <style>
+        ${this.getReportCSS()}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🌐 Test Matrix Report</h1>
+            <p>Generated on ${new Date().toLocaleString()}</p>
+        </div>
+        <div class="attempts">
+            <table class="attempts-table matrix-table">
+                <thead>
+                    <tr><th>Test</th>${variants.map(variant => `<th>${variant}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+        <div class="footer">
+            <p>Report generated by Autonomous LLM-MCP Test Runner v1.0</p>
+        </div>
+    </div>
+</body>
+</html>`;
+
+    this.ensureDirectories();
+    const suffix = this.config.reporting.reportSuffix || '';
+    const matrixReportFile = path.join(this.config.reporting.outputDir, `matrix_report_${Date.now()}${suffix}.html`);
+    fs.writeFileSync(matrixReportFile, html);
+    return matrixReportFile;
+  }
+
   /**
    * Ensure required directories exist
    */
@@ -145,6 +230,7 @@ export class TestReportGenerator {
     console.log(`⏱️  Duration: ${testReport.duration}ms`);
     console.log(`✅ Passed Actions: ${testReport.passedActions}`);
     console.log(`❌ Failed Actions: ${testReport.failedActions}`);
+    console.log(`⏭️  Skipped Actions: ${testReport.skippedActions || 0}`);
     console.log(`📈 Success Rate: ${((testReport.passedActions / testReport.totalActions) * 100).toFixed(1)}%`);
   }
 
@@ -203,6 +289,8 @@ export class TestReportGenerator {
         ${this.generateReportHeader(testReport)}
         ${this.generateStatsGrid(testReport, successRate, formatDuration)}
         ${this.generateProgressChart(testReport, successRate)}
+        ${this.generateAttemptsSection(testReport, formatDuration)}
+        ${this.generateLLMEventsSection(testReport, formatDuration)}
         ${this.generateTimeline(actionsWithScreenshots)}
         ${this.generateFooter(testReport)}
     </div>
@@ -286,16 +374,48 @@ export class TestReportGenerator {
     return `
         <div class="header">
             <h1>� Autonomous LLM-MCP Test Report</h1>
+            ${testReport.testName ? `<p class="test-name">${testReport.testName}</p>` : ''}
+            ${testReport.description ? `<p>${testReport.description}</p>` : ''}
+            ${testReport.tags && testReport.tags.length > 0 ? `<p>${testReport.tags.map(tag => `<span class="tag-badge">${tag}</span>`).join(' ')}</p>` : ''}
             <p>Generated on ${new Date(testReport.startTime).toLocaleString()}</p>
+            ${testReport.planSource ? `<p>Plan: ${this.describePlanSource(testReport.planSource)}</p>` : ''}
+            ${testReport.browser ? `<p>Browser: ${testReport.browser}</p>` : ''}
+            ${testReport.device ? `<p>Device: ${testReport.device}</p>` : ''}
+            ${testReport.example ? `<p>Example: ${this.redact(Object.entries(testReport.example.values).map(([column, value]) => `${column}=${value}`).join(', '))}</p>` : ''}
+            ${testReport.interrupted ? `<p>⏹️ Interrupted by ${testReport.interrupted}: the remaining steps were not run</p>` : ''}
         </div>`;
   }
 
+  /**
+   * Describe where a step was written
+   * @param {Array<string>} source - "file:line" frames, innermost first
+   * @returns {string} - e.g. "shared/login.yml:3 (included from tests/admin.test.yaml:7)"
+   */
+  describeSource(source) {
+    const [origin, ...includedFrom] = source;
+    return includedFrom.length > 0 ? `${origin} (included from ${includedFrom.join(', included from ')})` : origin;
+  }
+
+  /**
+   * Describe where the execution plan came from
+   * @param {string} planSource - 'llm', 'cache' or 'live'
+   * @returns {string} - Human readable description
+   */
+  describePlanSource(planSource) {
+    const descriptions = {
+      llm: 'generated by the LLM',
+      cache: 'replayed from cache',
+      live: 'planned live, step by step'
+    };
+    return descriptions[planSource] || planSource;
+  }
+
   /**
    * Generate stats grid section
    */
   generateStatsGrid(testReport, successRate, formatDuration) {
     const testResult = testReport.testResult || 'unknown';
-    const testResultClass = testResult === 'pass' ? 'success' : testResult === 'fail' ? 'failure' : 'neutral';
+    const testResultClass = testResult === 'pass' ? 'success' : testResult === 'fail' ? 'failure' : testResult === 'flaky' || testResult === 'interrupted' ? 'warning' : 'neutral';
     const testResultText = testResult.toUpperCase();
 
     return `
@@ -316,6 +436,10 @@ export class TestReportGenerator {
                 <div class="stat-value failure">${testReport.failedActions}</div>
                 <div class="stat-label">Failed</div>
             </div>
+            <div class="stat-card">
+                <div class="stat-value neutral">${testReport.skippedActions || 0}</div>
+                <div class="stat-label">Skipped</div>
+            </div>
             <div class="stat-card">
                 <div class="stat-value">${successRate}%</div>
                 <div class="stat-label">Success Rate</div>
@@ -324,13 +448,38 @@ export class TestReportGenerator {
                 <div class="stat-value">${formatDuration(testReport.duration)}</div>
                 <div class="stat-label">Duration</div>
             </div>
+            ${testReport.llmUsage ? this.generateUsageCards(testReport.llmUsage) : ''}
         </div>`;
   }
 
+  /**
+   * Generate the LLM token and cost cards of the stats grid
+   * @param {Object} usage - Usage total from llm-usage.js
+   * @returns {string} - HTML
+   */
+  generateUsageCards(usage) {
+    const cost = usage.unpricedCalls > 0 && usage.cost === 0 ? 'n/a' : `~${formatCost(usage.cost)}`;
+    const costTitle = usage.unpricedCalls > 0 ? ` title="${usage.unpricedCalls} call(s) to models without a price are not included"` : '';
+    return `
+            <div class="stat-card" title="${usage.calls} LLM call(s): ${usage.inputTokens} input + ${usage.outputTokens} output tokens">
+                <div class="stat-value neutral">${usage.totalTokens.toLocaleString('en-US')}</div>
+                <div class="stat-label">LLM Tokens</div>
+            </div>
+            <div class="stat-card"${costTitle}>
+                <div class="stat-value neutral">${cost}</div>
+                <div class="stat-label">Est. LLM Cost</div>
+            </div>`;
+  }
+
   /**
    * Generate progress chart section
    */
   generateProgressChart(testReport, successRate) {
+    const skippedRate = testReport.totalActions > 0
+      ? (((testReport.skippedActions || 0) / testReport.totalActions) * 100).toFixed(1)
+      : 0;
+    const failedRate = Math.max(0, 100 - successRate - skippedRate);
+
     return `
         <div class="chart-container">
             <div class="chart">
@@ -339,20 +488,97 @@ export class TestReportGenerator {
                     <div class="progress-segment progress-passed" style="width: ${successRate}%">
                         ${testReport.passedActions} Passed
                     </div>
-                    <div class="progress-segment progress-failed" style="width: ${100 - successRate}%">
+                    <div class="progress-segment progress-failed" style="width: ${failedRate}%">
                         ${testReport.failedActions} Failed
                     </div>
+                    ${testReport.skippedActions ? `
+                    <div class="progress-segment progress-skipped" style="width: ${skippedRate}%">
+                        ${testReport.skippedActions} Skipped
+                    </div>` : ''}
                 </div>
             </div>
         </div>`;
   }
 
+  /**
+   * Generate the retry attempts section, comparing earlier failed attempts
+   * with the current one
+   */
+  generateAttemptsSection(testReport, formatDuration) {
+    const previousAttempts = testReport.previousAttempts || [];
+    if (previousAttempts.length === 0) return '';
+
+    const rows = previousAttempts.map(attempt => `
+                <tr>
+                    <td>#${attempt.attempt}</td>
+                    <td><span class="status-badge ${attempt.result === 'pass' ? 'passed' : 'failed'}">${attempt.result}</span></td>
+                    <td>${formatDuration(attempt.duration || 0)}</td>
+                    <td>${attempt.passed || 0} / ${attempt.failed || 0} / ${attempt.skipped || 0}</td>
+                    <td>
+                        ${(attempt.failedSteps || []).map(failed => `<div><strong>${this.redact(failed.step || failed.tool)}</strong>: ${this.redact(failed.error || '')}</div>`).join('') || this.redact(attempt.error || '')}
+                    </td>
+                    <td>${attempt.reportFile ? `<a href="${path.basename(attempt.reportFile)}">report</a>` : '-'}</td>
+                </tr>`).join('');
+
+    return `
+        <div class="attempts">
+            <h2>🔁 Attempts</h2>
+            <table class="attempts-table">
+                <thead>
+                    <tr><th>Attempt</th><th>Result</th><th>Duration</th><th>Passed / Failed / Skipped</th><th>Failures</th><th>Report</th></tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    <tr class="current-attempt">
+                        <td>#${testReport.attempt}</td>
+                        <td><span class="status-badge ${testReport.failedActions === 0 ? 'passed' : 'failed'}">${testReport.failedActions === 0 ? 'pass' : 'fail'}</span></td>
+                        <td>${formatDuration(testReport.duration || 0)}</td>
+                        <td>${testReport.passedActions} / ${testReport.failedActions} / ${testReport.skippedActions || 0}</td>
+                        <td>See timeline below</td>
+                        <td>this report</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>`;
+  }
+
+  /**
+   * Generate the section listing the retried and fallen back LLM calls
+   */
+  generateLLMEventsSection(testReport, formatDuration) {
+    const events = testReport.llmEvents || [];
+    if (events.length === 0) return '';
+
+    const rows = events.map(event => `
+                <tr>
+                    <td>${new Date(event.time).toLocaleTimeString()}</td>
+                    <td><span class="status-badge ${event.type === 'retry' ? 'skipped' : 'failed'}">${event.type === 'retry' ? `retry ${event.attempt}` : 'fallback'}</span></td>
+                    <td>${event.provider} (${event.model})</td>
+                    <td>${event.type === 'retry' ? `after ${formatDuration(event.delay)}` : '-'}</td>
+                    <td>${this.redact(event.error)}</td>
+                </tr>`).join('');
+
+    return `
+        <div class="attempts">
+            <h2>🔀 LLM Retries and Fallbacks</h2>
+            <table class="attempts-table">
+                <thead>
+                    <tr><th>Time</th><th>Event</th><th>Provider</th><th>Wait</th><th>Error</th></tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>`;
+  }
+
   /**
    * Format data in human-readable way instead of JSON
    */
   formatData(data, indentLevel = 0) {
     if (!data) return '<em>None</em>';
 
+    data = this.redact(data);
     const indent = '  '.repeat(indentLevel);
 
     // Handle primitives
@@ -398,10 +624,28 @@ export class TestReportGenerator {
     return `
       <div class="detail-section" style="background: ${action.success ? '#f0fdf4' : '#fef2f2'}; padding: 15px; border-radius: 6px; border: 1px solid ${action.success ? '#86efac' : '#fecaca'};">
         <div style="font-size: 18px; font-weight: bold; margin-bottom: 10px;">${status}</div>
-        <div style="margin-bottom: 8px;"><strong>Expression:</strong><br><code style="background: white; padding: 4px 8px; border-radius: 4px; display: inline-block; margin-top: 4px;">${action.params?.expression || 'N/A'}</code></div>
+        <div style="margin-bottom: 8px;"><strong>Expression:</strong><br><code style="background: white; padding: 4px 8px; border-radius: 4px; display: inline-block; margin-top: 4px;">${this.redact(action.params?.expression || 'N/A')}</code></div>
         ${result.expectedValue ? `<div style="margin-bottom: 8px;"><strong>Expected:</strong> <span style="color: #059669;">${result.expectedValue}</span></div>` : ''}
         ${result.actualValue !== undefined ? `<div style="margin-bottom: 8px;"><strong>Actual:</strong> <span style="color: ${action.success ? '#059669' : '#dc2626'};">${result.actualValue}</span></div>` : ''}
-        ${action.error ? `<div style="margin-top: 10px; padding: 10px; background: white; border-radius: 4px; color: #991b1b;"><strong>Error:</strong> ${action.params?.failureMessage || action.error}</div>` : ''}
+        ${action.error ? `<div style="margin-top: 10px; padding: 10px; background: white; border-radius: 4px; color: #991b1b;"><strong>Error:</strong> ${this.redact(action.params?.failureMessage || action.error)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Format the failed attempts that preceded a self-healed (or finally failed) action
+   */
+  formatAttempts(attempts) {
+    return `
+      <div class="detail-section">
+        <div class="detail-label">Repair Attempts (${attempts.length})</div>
+        ${attempts.map((attempt, idx) => `
+          <div class="detail-content attempt-item">
+            <strong>Attempt ${idx + 1}:</strong> ${attempt.tool} (${attempt.duration || 0}ms)<br>
+            ${this.formatData(attempt.params)}<br>
+            <span class="failure"><strong>Error:</strong> ${this.redact(attempt.error)}</span>
+          </div>
+        `).join('')}
       </div>
     `;
   }
@@ -410,6 +654,11 @@ export class TestReportGenerator {
    * Generate timeline section with expandable actions
    */
   generateTimeline(actionsWithScreenshots) {
+    // Hook steps get their own sections, split from the test's own steps
+    const hooks = ['beforeAll', 'beforeEach', 'afterEach', 'afterAll'];
+    const sectionOf = (action) => (hooks.includes(action.phase) ? `🪝 ${action.phase} hook` : '🧪 Test steps');
+    const hasSections = actionsWithScreenshots.some(action => hooks.includes(action.phase));
+
     return `
         <div class="timeline">
             <div class="timeline-header">
@@ -418,17 +667,23 @@ export class TestReportGenerator {
                     <button class="filter-btn active" onclick="filterActions('all')">All</button>
                     <button class="filter-btn" onclick="filterActions('passed')">Passed</button>
                     <button class="filter-btn" onclick="filterActions('failed')">Failed</button>
+                    <button class="filter-btn" onclick="filterActions('skipped')">Skipped</button>
                 </div>
             </div>
             
             <div id="actions-container">
                 ${actionsWithScreenshots.map((action, idx) => {
-      return `
+      const startsSection = hasSections && (idx === 0 || sectionOf(actionsWithScreenshots[idx - 1]) !== sectionOf(action));
+      return `${startsSection ? `
+                    <h3 class="timeline-section">${sectionOf(action)}</h3>` : ''}
                     <div class="action-item ${action.status}" data-status="${action.status}">
                         <div class="action-header" onclick="toggleAction(${idx})">
                             <div class="action-title">
                                 <div class="action-number">${idx + 1}</div>
                                 <div class="action-tool">${action.tool}</div>
+                                ${action.phase && action.phase !== 'steps' ? `<div class="phase-badge">${action.phase}</div>` : ''}
+                                ${action.step ? `<div class="action-step">${this.redact(action.step)}</div>` : ''}
+                                ${action.source ? `<div class="action-source">${this.describeSource(action.source)}</div>` : ''}
                             </div>
                             <div class="action-status">
                                 <div class="status-badge ${action.status}">${action.status}</div>
@@ -439,7 +694,7 @@ export class TestReportGenerator {
                         <div class="action-details">
                             ${action.error ? `
                                 <div class="error-box">
-                                    <strong>❌ Error:</strong> ${action.error}
+                                    <strong>❌ Error:</strong> ${this.redact(action.error)}
                                 </div>
                             ` : ''}
                             
@@ -452,6 +707,8 @@ export class TestReportGenerator {
                                 </div>
                             ` : ''}
                             
+                            ${action.attempts && action.attempts.length > 0 ? this.formatAttempts(action.attempts) : ''}
+
                             ${action.tool === 'mcp_assert' ? this.formatAssertionResult(action) : `
                               <div class="detail-section">
                                   <div class="detail-label">Action Parameters</div>
@@ -536,6 +793,28 @@ export class TestReportGenerator {
           opacity: 0.9;
           font-size: 16px;
         }
+        .header .test-name {
+          font-size: 20px;
+          font-weight: 600;
+          opacity: 1;
+          margin-bottom: 6px;
+        }
+        .tag-badge {
+          display: inline-block;
+          padding: 2px 10px;
+          border-radius: 12px;
+          background: rgba(255,255,255,0.2);
+          font-size: 13px;
+        }
+        .phase-badge {
+          padding: 4px 10px;
+          border-radius: 20px;
+          background: #fef3c7;
+          color: #92400e;
+          font-size: 12px;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
         .stats-grid {
           display: grid;
           grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
@@ -570,6 +849,43 @@ export class TestReportGenerator {
         .error { color: #ef4444; }
         .failure { color: #ef4444; }
         .neutral { color: #6b7280; }
+        .warning { color: #f59e0b; }
+        .attempts {
+          padding: 30px 30px 0;
+        }
+        .attempts h2 {
+          font-size: 24px;
+          color: #1f2937;
+          margin-bottom: 15px;
+        }
+        .attempts-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+        .attempts-table th,
+        .attempts-table td {
+          padding: 10px;
+          border-bottom: 1px solid #e5e7eb;
+          text-align: left;
+          vertical-align: top;
+        }
+        .matrix-table td {
+          min-width: 160px;
+        }
+        .matrix-table a {
+          margin-left: 8px;
+          font-size: 13px;
+        }
+        .matrix-error {
+          margin-top: 6px;
+          color: #991b1b;
+          font-size: 12px;
+        }
+        .attempts-table .current-attempt {
+          background: #f9fafb;
+          font-weight: 600;
+        }
         .timeline {
           padding: 30px;
         }
@@ -620,6 +936,10 @@ export class TestReportGenerator {
         .action-item.failed {
           border-left: 4px solid #ef4444;
         }
+        .action-item.skipped {
+          border-left: 4px solid #9ca3af;
+          opacity: 0.75;
+        }
         .action-header {
           padding: 20px;
           cursor: pointer;
@@ -655,6 +975,20 @@ export class TestReportGenerator {
           font-size: 16px;
           color: #1f2937;
         }
+        .action-step {
+          font-size: 14px;
+          color: #6b7280;
+        }
+        .timeline-section {
+          margin: 20px 0 10px;
+          font-size: 16px;
+          color: #374151;
+        }
+        .action-source {
+          font-size: 12px;
+          color: #9ca3af;
+          font-family: monospace;
+        }
         .action-status {
           display: flex;
           align-items: center;
@@ -675,6 +1009,14 @@ export class TestReportGenerator {
           background: #fee2e2;
           color: #991b1b;
         }
+        .status-badge.skipped {
+          background: #f3f4f6;
+          color: #4b5563;
+        }
+        .status-badge.flaky {
+          background: #fef3c7;
+          color: #92400e;
+        }
         .duration-badge {
           padding: 6px 12px;
           background: #e0e7ff;
@@ -722,6 +1064,10 @@ export class TestReportGenerator {
           line-height: 1.6;
           overflow-x: auto;
         }
+        .attempt-item {
+          margin-bottom: 10px;
+          border-left: 3px solid #f59e0b;
+        }
         .error-box {
           background: #fef2f2;
           border: 1px solid #fecaca;
@@ -822,6 +1168,9 @@ export class TestReportGenerator {
         .progress-failed {
           background: #ef4444;
         }
+        .progress-skipped {
+          background: #9ca3af;
+        }
         .footer {
           padding: 20px;
           text-align: center;
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startFakeLLM, createProject, runCLI } from './helpers.js';
+
+// A plan with an unknown tool fails validation, so the tests fail without a browser but still spend tokens
+const PLAN = [{ stepIndex: 1, tool: 'browser_unknown', params: {}, isAssertion: false, description: 'Open the page' }];
+
+let llm;
+let dir;
+
+before(async () => {
+  llm = await startFakeLLM(() => JSON.stringify(PLAN));
+});
+
+after(async () => {
+  await llm.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('tests after the LLM budget is exceeded are not run', { timeout: 300000 }, async () => {
+  dir = createProject({
+    'prices.json': JSON.stringify({ 'fake-model': { input: 1, output: 1 } }),
+    'tests/first.yml': 'name: First\nsteps:\n  - Open https://example.com/first\n',
+    'tests/second.yml': 'name: Second\nsteps:\n  - Open https://example.com/second\n'
+  });
+
+  // Every call costs $0.0011 (1,000 input + 100 output tokens at $1 per million)
+  const { code, output } = await runCLI(dir, llm, ['--headless', '--budget', '0.001', 'tests/'], {
+    LLM_PRICE_FILE: 'prices.json',
+    MAX_PLAN_REPAIR_ROUNDS: '0'
+  });
+
+  assert.equal(code, 1, output);
+  assert.match(output, /LLM budget of \$0\.0010 exceeded/);
+  assert.match(output, /1\. tests\/first\.yml - FAILED/);
+  assert.match(output, /2\. tests\/second\.yml - NOT RUN/);
+  assert.equal(llm.requests.length, 1);
+  assert.doesNotMatch(JSON.stringify(llm.requests), /example\.com\/second/);
+});
+
+test('parallel workers start no test after the LLM budget is exceeded', { timeout: 300000 }, async () => {
+  llm.requests.length = 0;
+  fs.rmSync(`${dir}/reports`, { recursive: true, force: true });
+  fs.writeFileSync(`${dir}/tests/third.yml`, 'name: Third\nsteps:\n  - Open https://example.com/third\n');
+
+  // The first two tests start together, the third only once one of them is done
+  const { code, output } = await runCLI(dir, llm, ['--headless', '--budget', '0.001', '--workers', '2', 'tests/'], {
+    LLM_PRICE_FILE: 'prices.json',
+    MAX_PLAN_REPAIR_ROUNDS: '0'
+  });
+
+  assert.equal(code, 1, output);
+  assert.match(output, /3\. tests\/third\.yml - NOT RUN/);
+  assert.equal(llm.requests.length, 2);
+  assert.doesNotMatch(JSON.stringify(llm.requests), /example\.com\/third/);
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startFakeLLM, createProject, runCLI, readReport } from './helpers.js';
+
+const PLAN = [
+  { stepIndex: 1, tool: 'browser_navigate', params: { url: 'https://example.com/login' }, isAssertion: false, description: 'Open the login page' },
+  { stepIndex: 2, tool: 'browser_type', params: { element: 'Username', ref: 'e1', text: '{{user}}' }, isAssertion: false, description: 'Type the user' },
+  { stepIndex: 3, tool: 'browser_snapshot', params: {}, isAssertion: true, description: 'Check the greeting' }
+];
+
+let llm;
+let dir;
+
+before(async () => {
+  llm = await startFakeLLM(() => JSON.stringify(PLAN));
+});
+
+after(async () => {
+  await llm.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('--dry-run plans a data-driven test without an example row', async () => {
+  dir = createProject({
+    'tests/a/login.yml': [
+      'name: Login',
+      'examples:',
+      '  - { name: admin, user: admin }',
+      '  - { name: editor, user: editor }',
+      'steps:',
+      '  - Open https://example.com/login',
+      '  - Type "{{user}}" into the username field',
+      '  - Verify the page greets "{{user}}"',
+      ''
+    ].join('\n')
+  });
+
+  const { code, output } = await runCLI(dir, llm, ['--dry-run', 'tests/']);
+
+  assert.equal(code, 0, output);
+  const { plans } = readReport(dir, 'dry_run_');
+  assert.equal(plans.length, 1);
+  assert.equal(plans[0].status, 'PLANNED', plans[0].error);
+  assert.equal(plans[0].steps.length, 3);
+  // Example placeholders stay in the step text and params
+  assert.equal(plans[0].steps[1].step, 'Type "{{user}}" into the username field');
+  assert.equal(plans[0].steps[1].params.text, '{{user}}');
+  assert.match(llm.requests[0].messages.map(message => JSON.stringify(message.content)).join('\n'), /\{\{user\}\}/);
+});
+
+test('--dry-run masks secret values in the printed and written plans', async () => {
+  const secretLLM = await startFakeLLM(() => JSON.stringify([
+    // The LLM echoes the secret, e.g. after reading it back from a page
+    { stepIndex: 1, tool: 'browser_type', params: { element: 'Token', ref: 'e2', text: 'hunter2' }, isAssertion: false, description: 'Type hunter2' }
+  ]));
+  const secretDir = createProject({
+    'tests/token.yml': 'name: Token\nsecrets: [API_TOKEN]\nsteps:\n  - Type ${API_TOKEN} into the token field\n'
+  });
+
+  try {
+    const { code, output } = await runCLI(secretDir, secretLLM, ['--dry-run', 'tests/token.yml'], { API_TOKEN: 'hunter2' });
+
+    assert.equal(code, 0, output);
+    assert.doesNotMatch(output, /hunter2/);
+    assert.match(output, /browser_type\s+\{"element":"Token","ref":"e2","text":"\*\*\*\*\*\*"\}/);
+
+    const { plans } = readReport(secretDir, 'dry_run_');
+    assert.doesNotMatch(JSON.stringify(plans), /hunter2/);
+    assert.equal(plans[0].steps[0].step, 'Type ${API_TOKEN} into the token field');
+    assert.equal(plans[0].steps[0].params.text, '******');
+    assert.equal(plans[0].steps[0].description, 'Type ******');
+  } finally {
+    await secretLLM.close();
+    fs.rmSync(secretDir, { recursive: true, force: true });
+  }
+});
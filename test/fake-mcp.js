@@ -0,0 +1,62 @@
+/**
+ * Fake Playwright MCP Server
+ * Speaks MCP over stdio with the tools of test/helpers.js, without a browser.
+ * Every call is appended to FAKE_MCP_LOG as a JSON line.
+ *
+ * - browser_navigate fails for URLs containing "fail", and for URLs
+ *   containing "flaky" on the first call per project
+ * - browser_evaluate returns false when the function contains "false"
+ * - browser_snapshot returns a small page with refs e1 (heading) and e2 (textbox)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { TOOLS } from './helpers.js';
+
+const SNAPSHOT = '### Page snapshot\n- heading "Welcome" [ref=e1]\n- textbox "Username" [ref=e2]';
+
+const logFile = process.env.FAKE_MCP_LOG;
+
+const text = (content, isError = false) => ({ content: [{ type: 'text', text: content }], isError });
+
+/**
+ * Tell whether a flaky URL was already visited by an earlier server
+ * @param {string} url - Navigated URL
+ * @returns {boolean}
+ */
+function visitedBefore(url) {
+  const marker = path.join(path.dirname(logFile), `.visited-${Buffer.from(url).toString('hex')}`);
+  if (fs.existsSync(marker)) return true;
+  fs.writeFileSync(marker, '');
+  return false;
+}
+
+const handlers = {
+  browser_navigate: ({ url }) => {
+    if (url.includes('fail') || (url.includes('flaky') && !visitedBefore(url))) {
+      return text(`### Error\nnet::ERR_CONNECTION_REFUSED at ${url}`, true);
+    }
+    return text(`### Page\n- Page URL: ${url}`);
+  },
+  browser_type: () => text('### Ran Playwright code\nawait page.fill()'),
+  browser_click: () => text('### Ran Playwright code\nawait page.click()'),
+  browser_evaluate: (args) => text(`### Result\n${args.function.includes('false') ? 'false' : 'true'}`),
+  browser_snapshot: () => text(SNAPSHOT)
+};
+
+const server = new Server({ name: 'fake-playwright-mcp', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+
+server.setRequestHandler(CallToolRequestSchema, async ({ params }) => {
+  if (logFile) {
+    fs.appendFileSync(logFile, `${JSON.stringify({ name: params.name, arguments: params.arguments || {} })}\n`);
+  }
+  const handler = handlers[params.name];
+  return handler ? handler(params.arguments || {}) : text(`### Error\nUnknown tool ${params.name}`, true);
+});
+
+await server.connect(new StdioServerTransport());
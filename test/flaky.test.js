@@ -0,0 +1,41 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startFakeLLM, createProject, runCLI, readHtmlReports } from './helpers.js';
+
+// The fake MCP server fails a "flaky" URL the first time it is opened
+const PLAN = [
+  { stepIndex: 1, tool: 'browser_navigate', params: { url: 'https://example.com/flaky' }, isAssertion: false, description: 'Open the page' }
+];
+
+let llm;
+let dir;
+
+before(async () => {
+  llm = await startFakeLLM(() => JSON.stringify(PLAN));
+  dir = createProject({ 'tests/flaky.yml': 'name: Flaky\nsteps:\n  - Open https://example.com/flaky\n' });
+});
+
+after(async () => {
+  await llm.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a test that only passes on a retry is reported as flaky', { timeout: 120000 }, async () => {
+  const { code, output } = await runCLI(dir, llm, ['--retries', '1', 'tests/flaky.yml'], { MAX_REPAIR_ATTEMPTS: '0' });
+
+  // Flaky tests do not fail the run, but the summary calls them out
+  assert.equal(code, 0, output);
+  assert.match(output, /Test FLAKY: tests\/flaky\.yml \(passed on attempt 2\)/);
+  assert.match(output, /1\. tests\/flaky\.yml - FLAKY \(2 attempts\)/);
+  assert.match(output, /Flaky: 1/);
+  assert.match(output, /ALL TESTS PASSED \(1 flaky\)/);
+
+  // One report per attempt; the last one shows the flaky result and the failed attempt
+  const reports = readHtmlReports(dir);
+  assert.equal(reports.length, 2);
+  assert.match(reports[0], /stat-value failure">FAIL</);
+  assert.match(reports[1], /stat-value warning">FLAKY</);
+  assert.match(reports[1], /🔁 Attempts/);
+  assert.match(reports[1], /<td>#1<\/td>\s*<td><span class="status-badge failed">fail<\/span>/);
+});
@@ -0,0 +1,179 @@
+/**
+ * Test Helpers
+ * Runs the CLI against a fake OpenAI-compatible LLM server and a seeded
+ * MCP tool cache, so planning works offline and without a browser.
+ *
+ * Runs that execute steps start test/fake-mcp.js instead of Playwright MCP:
+ * every project gets a bin/npx that the CLI finds first on its PATH.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const RUNNER = fileURLToPath(new URL('../direct_mcp_stateless.js', import.meta.url));
+const FAKE_MCP = fileURLToPath(new URL('./fake-mcp.js', import.meta.url));
+
+// Enough of the Playwright MCP tools for the plans the tests use
+export const TOOLS = [
+  {
+    name: 'browser_navigate',
+    description: 'Navigate to a URL',
+    inputSchema: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'], additionalProperties: false }
+  },
+  {
+    name: 'browser_type',
+    description: 'Type text into editable element',
+    inputSchema: {
+      type: 'object',
+      properties: { element: { type: 'string' }, ref: { type: 'string' }, text: { type: 'string' } },
+      required: ['element', 'ref', 'text'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'browser_click',
+    description: 'Click an element',
+    inputSchema: {
+      type: 'object',
+      properties: { element: { type: 'string' }, ref: { type: 'string' } },
+      required: ['element', 'ref'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'browser_evaluate',
+    description: 'Evaluate a JavaScript expression on the page',
+    inputSchema: { type: 'object', properties: { function: { type: 'string' } }, required: ['function'], additionalProperties: false }
+  },
+  {
+    name: 'browser_snapshot',
+    description: 'Capture accessibility snapshot of the current page',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false }
+  }
+];
+
+/**
+ * Start a fake OpenAI-compatible chat completions server
+ * @param {Function} respond - Called with the request body, returns (or resolves to) the assistant message text
+ * @returns {Promise<{baseUrl: string, requests: Array<Object>, close: Function}>}
+ */
+export async function startFakeLLM(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const request = JSON.parse(body || '{}');
+      requests.push(request);
+      const content = await respond(request);
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `chatcmpl-${requests.length}`,
+        object: 'chat.completion',
+        created: 1,
+        model: request.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+      }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Create a temporary project holding the given files and a seeded tool cache
+ * @param {Object} files - Relative path → content
+ * @returns {string} - Project directory
+ */
+export function createProject(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-runner-test-'));
+  const allFiles = {
+    '.test-cache/mcp-tools.json': JSON.stringify({ default: { savedAt: new Date().toISOString(), tools: TOOLS } }),
+    ...files
+  };
+  for (const [file, content] of Object.entries(allFiles)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+
+  fs.mkdirSync(path.join(dir, 'bin'));
+  fs.writeFileSync(path.join(dir, 'bin', 'npx'), `#!/bin/sh\nexec "${process.execPath}" "${FAKE_MCP}" "$@"\n`, { mode: 0o755 });
+  return dir;
+}
+
+/**
+ * Run the CLI in a project against the fake LLM
+ * Runner settings inherited from the environment (LLM_*, MCP_*) are dropped.
+ * @param {string} dir - Project directory
+ * @param {Object} llm - Fake LLM from startFakeLLM()
+ * @param {Array<string>} args - CLI arguments
+ * @param {Object} [extraEnv] - Environment variables to set
+ * @returns {Promise<{code: number, output: string}>} - Also holds the spawned `child` process
+ */
+export function runCLI(dir, llm, args, extraEnv = {}) {
+  const env = {
+    ...Object.fromEntries(Object.entries(process.env).filter(([name]) => !/^(LLM_|MCP_)/.test(name))),
+    PATH: `${path.join(dir, 'bin')}${path.delimiter}${process.env.PATH}`,
+    FAKE_MCP_LOG: path.join(dir, 'mcp-calls.jsonl'),
+    ...extraEnv
+  };
+  const child = spawn(process.execPath, [
+    RUNNER,
+    '--provider', 'openai-compatible',
+    '--base-url', llm.baseUrl,
+    '--model', 'fake-model',
+    '--output-dir', 'reports',
+    ...args
+  ], { cwd: dir, env });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  return Object.assign(new Promise(resolve => child.on('close', code => resolve({ code, output }))), { child });
+}
+
+/**
+ * Read the latest report of a kind from a project
+ * @param {string} dir - Project directory
+ * @param {string} prefix - Report file prefix, e.g. "dry_run_"
+ * @returns {Object} - Parsed JSON report
+ */
+export function readReport(dir, prefix) {
+  const reportDir = path.join(dir, 'reports');
+  const file = fs.readdirSync(reportDir).filter(name => name.startsWith(prefix) && name.endsWith('.json')).sort().pop();
+  return JSON.parse(fs.readFileSync(path.join(reportDir, file), 'utf8'));
+}
+
+/**
+ * Read the tool calls the fake MCP server received in a project
+ * @param {string} dir - Project directory
+ * @returns {Array<{name: string, arguments: Object}>}
+ */
+export function readToolCalls(dir) {
+  const logFile = path.join(dir, 'mcp-calls.jsonl');
+  if (!fs.existsSync(logFile)) return [];
+  return fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Read the HTML reports written in a project
+ * @param {string} dir - Project directory
+ * @returns {Array<string>} - Report contents, oldest first
+ */
+export function readHtmlReports(dir) {
+  const reportDir = path.join(dir, 'reports');
+  return fs.readdirSync(reportDir)
+    .filter(name => name.startsWith('autonomous_mcp_report_') && name.endsWith('.html'))
+    .sort()
+    .map(name => fs.readFileSync(path.join(reportDir, name), 'utf8'));
+}
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startFakeLLM, createProject, runCLI, readToolCalls } from './helpers.js';
+
+// Plan of each step, keyed by its step index
+const STEP_PLANS = {
+  1: { tool: 'browser_navigate', params: { url: 'https://example.com/login' }, isAssertion: false, description: 'Open the login page' },
+  2: { tool: 'browser_type', params: { element: 'Username', ref: 'e2', text: 'admin' }, isAssertion: false, description: 'Type the user' },
+  3: { tool: 'browser_evaluate', params: { function: '() => document.title === "Welcome"' }, isAssertion: true, description: 'Check the heading' },
+  4: { tool: 'browser_unknown', params: {}, isAssertion: false, description: 'Not a tool' }
+};
+
+const TEST_FILE = [
+  'name: Login',
+  'steps:',
+  '  - Open https://example.com/login',
+  '  - Type "admin" into the username field',
+  '  - Verify the welcome heading',
+  ''
+].join('\n');
+
+let llm;
+const dirs = [];
+
+before(async () => {
+  llm = await startFakeLLM(request => {
+    const prompt = request.messages[0].content;
+    const stepIndex = Number(prompt.match(/## STEP TO PLAN \(step (\d+)\)/)[1]);
+    return JSON.stringify({ stepIndex, ...STEP_PLANS[stepIndex] });
+  });
+});
+
+after(async () => {
+  await llm.close();
+  dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('live mode plans every step against a fresh snapshot right before it runs', { timeout: 120000 }, async () => {
+  llm.requests.length = 0;
+  const dir = createProject({ 'tests/login.yml': TEST_FILE });
+  dirs.push(dir);
+
+  const { code, output } = await runCLI(dir, llm, ['--mode', 'live', 'tests/login.yml']);
+
+  assert.equal(code, 0, output);
+  assert.match(output, /Test PASSED: tests\/login\.yml/);
+
+  // One LLM call per step, each with the page as it was at that step
+  const prompts = llm.requests.map(request => request.messages[0].content);
+  assert.deepEqual(prompts.map(prompt => prompt.match(/## STEP TO PLAN \(step (\d+)\)/)[1]), ['1', '2', '3']);
+  prompts.forEach(prompt => assert.match(prompt, /heading "Welcome" \[ref=e1\]/));
+  assert.match(prompts[1], /## STEP TO PLAN \(step 2\)\nType "admin" into the username field/);
+
+  // Every step is preceded by the snapshot it was planned against
+  assert.deepEqual(readToolCalls(dir).map(call => call.name), [
+    'browser_snapshot', 'browser_navigate',
+    'browser_snapshot', 'browser_type',
+    'browser_snapshot', 'browser_evaluate'
+  ]);
+});
+
+test('a live step that cannot be planned fails the test without running a tool', { timeout: 120000 }, async () => {
+  const dir = createProject({ 'tests/login.yml': `${TEST_FILE}  - Do something no tool can do\n` });
+  dirs.push(dir);
+
+  const { code, output } = await runCLI(dir, llm, ['--mode', 'live', 'tests/login.yml']);
+
+  assert.equal(code, 1, output);
+  assert.match(output, /Step 4\/4 could not be planned/);
+  assert.match(output, /browser_unknown/);
+  assert.equal(readToolCalls(dir).filter(call => call.name !== 'browser_snapshot').length, 3);
+});
@@ -0,0 +1,51 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startFakeLLM, createProject, runCLI } from './helpers.js';
+
+const TEST_FILE = [
+  'name: Token',
+  'browsers: [chromium, firefox]',
+  'secrets: [API_TOKEN]',
+  'steps:',
+  '  - Open https://example.com',
+  ''
+].join('\n');
+
+let llm;
+let dir;
+
+before(async () => {
+  // A plan echoing the secret, e.g. read back from a page snapshot, fails validation
+  llm = await startFakeLLM(() => JSON.stringify([
+    { stepIndex: 1, tool: 'browser_open_hunter2', params: {}, isAssertion: false, description: 'Open the page' }
+  ]));
+  dir = createProject({ 'tests/token.yml': TEST_FILE });
+});
+
+after(async () => {
+  await llm.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the matrix report and the summary redact secrets in test errors', { timeout: 120000 }, async () => {
+  const { code, output } = await runCLI(dir, llm, ['tests/token.yml'], { API_TOKEN: 'hunter2', MAX_PLAN_REPAIR_ROUNDS: '0' });
+
+  assert.equal(code, 1, output);
+  const summary = output.slice(output.indexOf('TEST SUITE SUMMARY'));
+  assert.match(summary, /tests\/token\.yml \[chromium\] - FAILED/);
+  assert.match(summary, /unknown tool "browser_open_\*\*\*\*\*\*"/);
+  assert.doesNotMatch(summary, /hunter2/);
+
+  const reportsDir = path.join(dir, 'reports');
+  const matrixReports = fs.readdirSync(reportsDir).filter(file => file.startsWith('matrix_report_'));
+  assert.equal(matrixReports.length, 1);
+  const matrixReport = fs.readFileSync(path.join(reportsDir, matrixReports[0]), 'utf8');
+  assert.match(matrixReport, /chromium/);
+  assert.match(matrixReport, /unknown tool "browser_open_\*\*\*\*\*\*"/);
+
+  for (const file of fs.readdirSync(reportsDir)) {
+    assert.doesNotMatch(fs.readFileSync(path.join(reportsDir, file), 'utf8'), /hunter2/, file);
+  }
+});
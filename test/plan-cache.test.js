@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { PlanCache } from '../plan-cache.js';
+import { startFakeLLM, createProject, runCLI, TOOLS } from './helpers.js';
+
+const PLAN = [
+  { stepIndex: 1, tool: 'browser_navigate', params: { url: 'https://example.com' }, isAssertion: false, description: 'Open the page' }
+];
+
+let llm;
+let dir;
+
+before(async () => {
+  llm = await startFakeLLM(() => JSON.stringify(PLAN));
+  dir = createProject({ 'tests/home.yml': 'name: Home\nsteps:\n  - Open https://example.com\n' });
+});
+
+after(async () => {
+  await llm.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the cache key changes with the test text and the tool schemas', () => {
+  const cache = new PlanCache();
+  const key = cache.computeKey('- Open https://example.com', TOOLS);
+
+  assert.equal(cache.computeKey('- Open https://example.com', [...TOOLS].reverse()), key);
+  assert.notEqual(cache.computeKey('- Open https://example.org', TOOLS), key);
+
+  const changedTools = TOOLS.map(tool => (tool.name === 'browser_navigate'
+    ? { ...tool, inputSchema: { ...tool.inputSchema, required: [] } }
+    : tool));
+  assert.notEqual(cache.computeKey('- Open https://example.com', changedTools), key);
+});
+
+test('a cached plan is replayed until the test changes', { timeout: 120000 }, async () => {
+  const first = await runCLI(dir, llm, ['tests/home.yml']);
+  assert.equal(first.code, 0, first.output);
+  assert.equal(llm.requests.length, 1);
+  assert.ok(fs.existsSync(path.join(dir, '.test-cache/plans/tests/home.yml.plan.json')));
+
+  const second = await runCLI(dir, llm, ['tests/home.yml']);
+  assert.equal(second.code, 0, second.output);
+  assert.match(second.output, /Replaying cached plan for tests\/home\.yml/);
+  assert.equal(llm.requests.length, 1);
+
+  fs.writeFileSync(path.join(dir, 'tests/home.yml'), 'name: Home\nsteps:\n  - Open https://example.com/\n');
+  const edited = await runCLI(dir, llm, ['tests/home.yml']);
+  assert.equal(edited.code, 0, edited.output);
+  assert.match(edited.output, /re-planning tests\/home\.yml/);
+  assert.equal(llm.requests.length, 2);
+});
+
+test('--frozen-plan fails a test whose plan is stale or missing instead of calling the LLM', { timeout: 120000 }, async () => {
+  const calls = llm.requests.length;
+
+  const replayed = await runCLI(dir, llm, ['--frozen-plan', 'tests/home.yml']);
+  assert.equal(replayed.code, 0, replayed.output);
+
+  fs.writeFileSync(path.join(dir, 'tests/home.yml'), 'name: Home\nsteps:\n  - Open https://example.com/home\n');
+  const stale = await runCLI(dir, llm, ['--frozen-plan', 'tests/home.yml']);
+  assert.equal(stale.code, 1, stale.output);
+  assert.match(stale.output, /Cached plan for tests\/home\.yml is stale/);
+
+  fs.writeFileSync(path.join(dir, 'tests/new.yml'), 'name: New\nsteps:\n  - Open https://example.com/new\n');
+  const missing = await runCLI(dir, llm, ['--frozen-plan', 'tests/new.yml']);
+  assert.equal(missing.code, 1, missing.output);
+  assert.match(missing.output, /No cached plan for tests\/new\.yml and --frozen-plan forbids re-planning/);
+
+  assert.equal(llm.requests.length, calls);
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startFakeLLM, createProject, runCLI, readToolCalls, readHtmlReports } from './helpers.js';
+
+// Unknown tool in step 1, missing required param in step 2
+const PLAN = [
+  { stepIndex: 1, tool: 'browser_unknown', params: {}, isAssertion: false, description: 'Open the page' },
+  { stepIndex: 2, tool: 'browser_type', params: { element: 'Username', ref: 'e2' }, isAssertion: false, description: 'Type the user' }
+];
+
+let llm;
+let dir;
+
+before(async () => {
+  llm = await startFakeLLM(() => JSON.stringify(PLAN));
+});
+
+after(async () => {
+  await llm.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an invalid plan stops the test before the browser is touched, with a report', { timeout: 120000 }, async () => {
+  dir = createProject({
+    'tests/login.yml': 'name: Login\nsteps:\n  - Open https://example.com\n  - Type "admin" into the username field\n',
+    'tests/broken.yml': 'name: Broken\nsteps: not a list\n'
+  });
+
+  const { code, output } = await runCLI(dir, llm, ['tests/'], { MAX_PLAN_REPAIR_ROUNDS: '1' });
+
+  assert.equal(code, 1, output);
+  // The validation errors went back to the LLM once
+  assert.equal(llm.requests.length, 2);
+  assert.match(JSON.stringify(llm.requests[1].messages), /validation errors/);
+  assert.match(output, /Execution plan failed validation/);
+  assert.deepEqual(readToolCalls(dir), []);
+
+  const reports = readHtmlReports(dir);
+  assert.equal(reports.length, 2);
+  const loginReport = reports.find(report => report.includes('Execution plan failed validation'));
+  assert.ok(loginReport, 'the report of the invalid plan shows the validation report');
+  assert.match(loginReport, /browser_unknown/);
+  assert.ok(reports.some(report => report.includes('"steps" must be a list of steps')), 'the invalid test file gets a report too');
+});
+
+test('an interrupt stops the plan repair rounds', { timeout: 120000 }, async () => {
+  let run;
+  const interruptingLLM = await startFakeLLM(async () => {
+    // Interrupt the runner while the first plan is being generated
+    run.child.kill('SIGINT');
+    await new Promise(resolve => setTimeout(resolve, 500));
+    return JSON.stringify(PLAN);
+  });
+  const interruptDir = createProject({ 'tests/login.yml': 'name: Login\nsteps:\n  - Open https://example.com\n  - Type "admin" into the username field\n' });
+
+  try {
+    run = runCLI(interruptDir, interruptingLLM, ['tests/login.yml'], { MAX_PLAN_REPAIR_ROUNDS: '3' });
+    const { code, output } = await run;
+
+    assert.equal(code, 130, output);
+    assert.equal(interruptingLLM.requests.length, 1);
+    assert.doesNotMatch(output, /Asking LLM to repair the execution plan/);
+    assert.match(output, /1\. tests\/login\.yml - INTERRUPTED/);
+  } finally {
+    await interruptingLLM.close();
+    fs.rmSync(interruptDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,27 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createProject, runCLI } from './helpers.js';
+
+// --print-config never calls the LLM
+const llm = { baseUrl: 'http://127.0.0.1:9/v1' };
+
+const dir = createProject({ 'mcp-runner.config.json': JSON.stringify({ browser: { headless: true } }) });
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('--no-<flag> turns off a boolean setting enabled in the config file or environment', { timeout: 60000 }, async () => {
+  const fromFile = await runCLI(dir, llm, ['--print-config']);
+  assert.equal(fromFile.code, 0, fromFile.output);
+  assert.match(fromFile.output, /browser\.headless\s+true\s+\(mcp-runner\.config\.json\)/);
+
+  const fromCli = await runCLI(dir, llm, ['--no-headless', '--print-config'], { MCP_HEADLESS: 'true' });
+  assert.equal(fromCli.code, 0, fromCli.output);
+  assert.match(fromCli.output, /browser\.headless\s+false\s+\(--no-headless\)/);
+
+  const both = await runCLI(dir, llm, ['--headless', '--no-headless', '--print-config']);
+  assert.equal(both.code, 1);
+  assert.match(both.output, /--headless and --no-headless cannot be used together/);
+});
@@ -0,0 +1,40 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startFakeLLM, createProject, runCLI, readToolCalls } from './helpers.js';
+
+let llm;
+let dir;
+
+before(async () => {
+  // Every test and hook has a single step opening the URL in its text
+  llm = await startFakeLLM(request => {
+    const url = request.messages[0].content.match(/https:\/\/example\.com\/\w+/)[0];
+    return JSON.stringify([{ stepIndex: 1, tool: 'browser_navigate', params: { url }, isAssertion: false, description: 'Open the page' }]);
+  });
+  dir = createProject({
+    'tests/suite.config.yml': 'name: Demo\nbeforeAll:\n  - Open https://example.com/fail\nafterAll:\n  - Open https://example.com/cleanup\n',
+    'tests/home.yml': 'name: Home\nsteps:\n  - Open https://example.com/home\n',
+    'tests/about.yml': 'name: About\nsteps:\n  - Open https://example.com/about\n'
+  });
+});
+
+after(async () => {
+  await llm.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a failing beforeAll hook errors the suite and no test runs', { timeout: 120000 }, async () => {
+  const { code, output } = await runCLI(dir, llm, ['tests/'], { MAX_REPAIR_ATTEMPTS: '0' });
+
+  assert.equal(code, 1, output);
+  assert.match(output, /SUITE ERRORED: beforeAll hook failed/);
+  assert.match(output, /Not run: 2/);
+  assert.match(output, /beforeAll - FAILED/);
+  assert.match(output, /afterAll - PASSED/);
+  assert.match(output, /tests\/about\.yml - NOT RUN/);
+  assert.match(output, /tests\/home\.yml - NOT RUN/);
+
+  // Only the hooks touched the browser; afterAll still ran
+  assert.deepEqual(readToolCalls(dir).map(call => call.arguments.url), ['https://example.com/fail', 'https://example.com/cleanup']);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseTestFile } from '../test-parser.js';
+
+test('a structured test with a misspelt "steps" key is rejected with line numbers', () => {
+  const content = ['name: Login', 'tags: [smoke]', 'Step:', '  - Open https://example.com', ''].join('\n');
+
+  assert.throws(() => parseTestFile(content, 'tests/login.yml'), error => {
+    assert.match(error.message, /tests\/login\.yml:3:1 unknown key "Step"/);
+    assert.match(error.message, /tests\/login\.yml:1:1 missing required key "steps"/);
+    return true;
+  });
+});
+
+test('a structured test with only setup is rejected', () => {
+  assert.throws(() => parseTestFile('setup:\n  - Open https://example.com\n', 'tests/setup.yml'), /missing required key "steps"/);
+});
+
+test('plain-text tests keep the legacy format', () => {
+  const plain = parseTestFile('Test: Login\n- Navigate to https://example.com\n- Click "Sign in"\n', 'tests/login.txt');
+  assert.equal(plain.format, 'text');
+  assert.equal(plain.steps.length, 2);
+
+  // Reads as a YAML mapping, but with none of the keys of the test format
+  const mapping = parseTestFile('Test: Login flow\nSteps:\n  - Navigate to https://example.com\n  - Click "Sign in"\n', 'tests/login.txt');
+  assert.equal(mapping.format, 'text');
+  assert.equal(mapping.name, 'login.txt');
+  assert.deepEqual(mapping.steps.map(step => step.text), ['- Navigate to https://example.com', '- Click "Sign in"']);
+
+  const list = parseTestFile('- Navigate to https://example.com\n', 'tests/list.yml');
+  assert.equal(list.format, 'text');
+});
+
+test('malformed structured YAML reports its syntax error', () => {
+  assert.throws(() => parseTestFile('name: Login\ntags: [smoke\nsteps:\n  - Open https://example.com\n', 'tests/login.yml'), /Malformed YAML in tests\/login\.yml/);
+});
+
+test('example rows with different columns are rejected at the offending row', () => {
+  const content = [
+    'name: Login',
+    'examples:',
+    '  - { name: admin, user: admin }',
+    '  - { name: guest }',
+    'steps:',
+    '  - Log in as "{{user}}"',
+    ''
+  ].join('\n');
+  assert.throws(() => parseTestFile(content, 'tests/login.yml'), /tests\/login\.yml:4:5 example row 2: missing column "user" \(example row 1 has it\)/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-runner-test-'));
+  try {
+    const examplesFile = path.join(dir, 'logins.json');
+    fs.writeFileSync(examplesFile, JSON.stringify([{ user: 'admin' }, { user: 'editor', role: 'editor' }]));
+    const testFile = path.join(dir, 'login.yml');
+    assert.throws(
+      () => parseTestFile('name: Login\nexamples: logins.json\nsteps:\n  - Log in as "{{user}}"\n', testFile),
+      error => error.message.includes(`${testFile}:2:11 examples file ${examplesFile}: example row 2: unexpected column "role"`)
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Write files into a temporary directory and parse one of them as a test
+ * @param {Object} files - Relative path → content
+ * @param {string} testFile - Relative path of the test to parse
+ * @param {Function} check - Called with the parse result (or thrown error) and the directory
+ */
+function withTestFiles(files, testFile, check) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-runner-test-'));
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    }
+    const filePath = path.join(dir, testFile);
+    check(() => parseTestFile(fs.readFileSync(filePath, 'utf8'), filePath), dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('included and called steps record the file and line they come from', () => {
+  const files = {
+    'shared/cookies.yml': 'name: Cookies\nsteps:\n  - Accept the cookie banner\n',
+    'shared/login.yml': [
+      'name: Log in',
+      'params:',
+      '  username:',
+      'steps:',
+      '  - include: cookies.yml',
+      '  - Enter "{{username}}" in the username field',
+      ''
+    ].join('\n'),
+    'editor.yml': [
+      'name: Editor',
+      'setup:',
+      '  - call: shared/login.yml',
+      '    with: { username: editor }',
+      'steps:',
+      '  - Verify the toolbar',
+      ''
+    ].join('\n')
+  };
+
+  withTestFiles(files, 'editor.yml', (parse, dir) => {
+    const frame = (file, line) => `${path.relative(process.cwd(), path.join(dir, file))}:${line}`;
+    const test = parse();
+
+    assert.deepEqual(test.setup, [
+      { text: 'Accept the cookie banner', line: 3, source: [frame('shared/cookies.yml', 3), frame('shared/login.yml', 5), frame('editor.yml', 3)] },
+      { text: 'Enter "editor" in the username field', line: 6, source: [frame('shared/login.yml', 6), frame('editor.yml', 3)] }
+    ]);
+    assert.deepEqual(test.steps, [{ text: 'Verify the toolbar', line: 6, source: [frame('editor.yml', 6)] }]);
+    assert.deepEqual(test.libraries.sort(), [path.join(dir, 'shared/cookies.yml'), path.join(dir, 'shared/login.yml')]);
+  });
+});
+
+test('a recursive include is rejected with the chain of files', () => {
+  const files = {
+    'shared/a.yml': 'name: A\nsteps:\n  - include: b.yml\n',
+    'shared/b.yml': 'name: B\nsteps:\n  - include: a.yml\n',
+    'login.yml': 'name: Login\nsteps:\n  - include: shared/a.yml\n'
+  };
+
+  withTestFiles(files, 'login.yml', (parse, dir) => {
+    const relative = file => path.relative(process.cwd(), path.join(dir, file));
+    assert.throws(parse, error => {
+      assert.ok(
+        error.message.includes(`${path.join(dir, 'shared/b.yml')}:3:14 recursive include: ${relative('shared/a.yml')} -> ${relative('shared/b.yml')} -> ${relative('shared/a.yml')}`),
+        error.message
+      );
+      return true;
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { VariableContext } from '../variables.js';
+import { startFakeLLM, createProject, runCLI, readToolCalls, readHtmlReports } from './helpers.js';
+
+test('a variable referring to a secret keeps the secret placeholder until the tool call', () => {
+  const context = new VariableContext({
+    variables: { login: 'token-${API_TOKEN}', user: 'admin' },
+    secrets: ['API_TOKEN'],
+    env: { API_TOKEN: 'hunter2' }
+  });
+
+  assert.equal(context.interpolate('Log in with {{login}} as {{user}}'), 'Log in with token-${API_TOKEN} as admin');
+  assert.deepEqual(context.findUnresolved('Log in with {{login}}'), []);
+  assert.deepEqual(context.resolveParams({ text: '{{login}}' }), { text: 'token-hunter2' });
+  assert.equal(context.redact('sent token-hunter2'), 'sent token-******');
+});
+
+let llm;
+let dir;
+
+before(async () => {
+  llm = await startFakeLLM(() => JSON.stringify([
+    { stepIndex: 1, tool: 'browser_type', params: { element: 'Token', ref: 'e2', text: 'token-${API_TOKEN}' }, isAssertion: false, description: 'Type the token' }
+  ]));
+});
+
+after(async () => {
+  await llm.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a secret reached through a variable never shows up in prompts, logs or reports', { timeout: 120000 }, async () => {
+  dir = createProject({
+    'tests/token.yml': [
+      'name: Token',
+      'secrets: [API_TOKEN]',
+      'variables:',
+      '  login: "token-${API_TOKEN}"',
+      'steps:',
+      '  - Type "{{login}}" into the token field',
+      ''
+    ].join('\n')
+  });
+
+  const { code, output } = await runCLI(dir, llm, ['tests/token.yml'], { API_TOKEN: 'hunter2' });
+  assert.equal(code, 0, output);
+
+  // The LLM plans with the placeholder, the tool gets the real value
+  assert.match(JSON.stringify(llm.requests[0].messages), /Type \\"token-\$\{API_TOKEN\}\\" into the token field/);
+  assert.deepEqual(readToolCalls(dir).map(call => call.arguments.text), ['token-hunter2']);
+
+  assert.doesNotMatch(output, /hunter2/);
+  readHtmlReports(dir).forEach(report => assert.doesNotMatch(report, /hunter2/));
+
+  const dryRun = await runCLI(dir, llm, ['--dry-run', 'tests/token.yml'], { API_TOKEN: 'hunter2' });
+  assert.equal(dryRun.code, 0, dryRun.output);
+  assert.match(dryRun.output, /token-\$\{API_TOKEN\}/);
+  assert.doesNotMatch(dryRun.output, /hunter2/);
+  const dryRunFile = fs.readdirSync(`${dir}/reports`).find(name => name.startsWith('dry_run_'));
+  assert.doesNotMatch(fs.readFileSync(`${dir}/reports/${dryRunFile}`, 'utf8'), /hunter2/);
+});
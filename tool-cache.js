@@ -0,0 +1,81 @@
+/**
+ * MCP Tool List Cache
+ * Remembers the tools (names, descriptions, input schemas) the Playwright
+ * MCP server offered on its last start, so plans can be produced and
+ * validated without starting a browser session (--dry-run).
+ *
+ * The tool list depends on the capabilities the server was started with
+ * (e.g. --caps storage for tests that save a session), so one list is kept
+ * per capability set. Every connection to the MCP server rewrites its list,
+ * so upgrading @playwright/mcp refreshes the cache on the next real run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class ToolCache {
+  /**
+   * @param {string} cacheFile - JSON file holding the tool lists
+   */
+  constructor(cacheFile = '.test-cache/mcp-tools.json') {
+    this.cacheFile = cacheFile;
+  }
+
+  /**
+   * Name of the entry for a capability set
+   * @param {Array<string>} capabilities - Extra MCP capabilities, e.g. ['storage']
+   * @returns {string}
+   */
+  static entryName(capabilities) {
+    return capabilities.length > 0 ? [...capabilities].sort().join(',') : 'default';
+  }
+
+  /**
+   * Read every cached tool list
+   * @returns {Object} - Entry name → { savedAt, tools }
+   */
+  readAll() {
+    if (!fs.existsSync(this.cacheFile)) return {};
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      return entries && typeof entries === 'object' && !Array.isArray(entries) ? entries : {};
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable tool cache ${this.cacheFile}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Load the tool list cached for a capability set
+   * @param {Array<string>} [capabilities] - Extra MCP capabilities
+   * @returns {{savedAt: string, tools: Array<Object>}|null} - Null if nothing is cached
+   */
+  load(capabilities = []) {
+    const entry = this.readAll()[ToolCache.entryName(capabilities)];
+    return entry && Array.isArray(entry.tools) ? entry : null;
+  }
+
+  /**
+   * Persist the tool list of a capability set
+   * @param {Array<Object>} tools - Tools as { name, description, inputSchema }
+   * @param {Array<string>} [capabilities] - Extra MCP capabilities
+   * @returns {string} - Cache file path
+   */
+  save(tools, capabilities = []) {
+    const entries = this.readAll();
+    entries[ToolCache.entryName(capabilities)] = {
+      savedAt: new Date().toISOString(),
+      tools
+    };
+
+    // Parallel workers save at the same time; rename so readers never see a partial file
+    fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+    const tempFile = `${this.cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(entries, null, 2));
+    fs.renameSync(tempFile, this.cacheFile);
+    return this.cacheFile;
+  }
+}
+
+export default ToolCache;
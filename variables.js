@@ -0,0 +1,222 @@
+/**
+ * Test Variables
+ * Resolves {{var}} and ${ENV_VAR} placeholders in test steps and keeps
+ * secret values out of prompts, logs and reports.
+ *
+ * Lookup order:
+ * - {{name}}: test variables, then the .env file, then the process environment
+ * - ${NAME}:  the .env file, then the process environment
+ *
+ * Secret placeholders are left untouched in the step text, so the LLM only
+ * ever sees the placeholder. Real values are substituted into the tool
+ * params right before the MCP call. Deferred variables (the columns of
+ * example rows) are handled the same way without being redacted, so every
+ * row shares the step text and therefore one execution plan.
+ */
+
+import fs from 'fs';
+import { STEP_SECTIONS } from './test-parser.js';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}|\$\{([A-Za-z_]\w*)\}/g;
+const REDACTED = '******';
+
+/**
+ * Parse a .env style file (KEY=VALUE lines, # comments, optional quotes)
+ * @param {string} filePath - Path to the file
+ * @returns {Object} - Parsed variables, empty if the file does not exist
+ */
+export function loadEnvFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return {};
+
+  const values = {};
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=\s*(.*?)\s*$/);
+    if (!match) return;
+
+    let value = match[2];
+    if (/^(['"]).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  });
+
+  return values;
+}
+
+export class VariableContext {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.variables] - Test-level variables
+   * @param {Array<string>} [options.secrets] - Names of variables/env vars whose values are secret
+   * @param {Array<string>} [options.deferred] - Names of variables only resolved in tool params
+   * @param {Object} [options.envFile] - Values loaded from a .env file
+   * @param {Object} [options.env] - Process environment
+   */
+  constructor({ variables = {}, secrets = [], deferred = [], envFile = {}, env = process.env } = {}) {
+    this.variables = variables;
+    this.secrets = new Set(secrets);
+    this.deferred = new Set(deferred);
+    this.envFile = envFile;
+    this.env = env;
+  }
+
+  /**
+   * Look up the raw value of a placeholder
+   * @param {string} name - Placeholder name
+   * @param {boolean} envOnly - Whether it used the ${NAME} syntax
+   * @param {boolean} [keepSecrets=false] - Leave secret placeholders in variable values unresolved
+   * @returns {string|undefined}
+   */
+  lookup(name, envOnly, keepSecrets = false) {
+    if (!envOnly && Object.prototype.hasOwnProperty.call(this.variables, name)) {
+      // Variable values may themselves reference the environment, secrets included
+      return this.interpolate(String(this.variables[name]), { keepSecrets, envOnly: true });
+    }
+    if (Object.prototype.hasOwnProperty.call(this.envFile, name)) return this.envFile[name];
+    if (this.env[name] !== undefined) return this.env[name];
+    return undefined;
+  }
+
+  /**
+   * Replace placeholders in a string
+   * @param {string} text - Text containing placeholders
+   * @param {Object} [options]
+   * @param {boolean} [options.keepSecrets=true] - Leave secret placeholders unresolved
+   * @param {boolean} [options.keepDeferred=keepSecrets] - Leave deferred placeholders unresolved
+   * @param {boolean} [options.envOnly=false] - Only resolve ${NAME} placeholders
+   * @returns {string}
+   * @throws {Error} If a placeholder cannot be resolved
+   */
+  interpolate(text, { keepSecrets = true, keepDeferred = keepSecrets, envOnly = false } = {}) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, varName, envName) => {
+      const name = varName || envName;
+      if (envOnly && varName) return placeholder;
+      if (keepSecrets && this.secrets.has(name)) return placeholder;
+      if (keepDeferred && varName && this.deferred.has(name)) return placeholder;
+
+      const value = this.lookup(name, Boolean(envName), keepSecrets);
+      if (value === undefined) {
+        throw new Error(`Unresolved variable ${placeholder}`);
+      }
+      return String(value);
+    });
+  }
+
+  /**
+   * Find placeholders that cannot be resolved
+   * Deferred placeholders are left to the tool params, so they never count.
+   * @param {string} text - Text containing placeholders
+   * @returns {Array<string>} - Unresolved placeholders
+   */
+  findUnresolved(text) {
+    const unresolved = [];
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      const name = match[1] || match[2];
+      if (match[1] && this.deferred.has(name)) continue;
+      try {
+        if (this.lookup(name, Boolean(match[2])) === undefined) unresolved.push(match[0]);
+      } catch (error) {
+        unresolved.push(match[0]);
+      }
+    }
+    return unresolved;
+  }
+
+  /**
+   * Substitute all placeholders, including secrets, into tool params
+   * @param {*} params - Tool params (any JSON value)
+   * @returns {*} - Params with real values
+   */
+  resolveParams(params) {
+    if (typeof params === 'string') return this.interpolate(params, { keepSecrets: false });
+    if (Array.isArray(params)) return params.map(item => this.resolveParams(item));
+    if (params && typeof params === 'object') {
+      return Object.fromEntries(Object.entries(params).map(([key, value]) => [key, this.resolveParams(value)]));
+    }
+    return params;
+  }
+
+  /**
+   * Get the real values of all secrets
+   * @returns {Array<string>} - Non-empty secret values, longest first
+   */
+  secretValues() {
+    const values = [];
+    for (const name of this.secrets) {
+      let value;
+      try {
+        value = this.lookup(name, false);
+      } catch (error) {
+        value = undefined;
+      }
+      if (value !== undefined && String(value) !== '') values.push(String(value));
+    }
+    return values.sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Mask secret values in a string or JSON value
+   * @param {*} data - Value to redact
+   * @returns {*} - Same shape with every secret value replaced
+   */
+  redact(data) {
+    const values = this.secretValues();
+    if (values.length === 0) return data;
+
+    const redactString = (text) => values.reduce((acc, value) => acc.split(value).join(REDACTED), text);
+
+    const walk = (value) => {
+      if (typeof value === 'string') return redactString(value);
+      if (Array.isArray(value)) return value.map(walk);
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]));
+      }
+      return value;
+    };
+
+    return walk(data);
+  }
+}
+
+/**
+ * Interpolate every non-secret placeholder of a test definition
+ * @param {Object} test - Test definition from parseTestFile()
+ * @param {VariableContext} context - Variable context
+ * @returns {Object} - New test definition with resolved step text
+ * @throws {Error} If a step references an unknown variable
+ */
+export function interpolateTest(test, context) {
+  const errors = [];
+
+  const resolve = (text, where) => {
+    const unresolved = context.findUnresolved(text);
+    if (unresolved.length > 0) {
+      errors.push(`${where}: unresolved ${unresolved.join(', ')}`);
+      return text;
+    }
+    return context.interpolate(text);
+  };
+
+  const resolveSection = (section) => test[section].map(step => ({
+    ...step,
+    text: resolve(step.text, step.source ? step.source.join(' via ') : `${test.filePath}:${step.line}`)
+  }));
+
+  const resolved = {
+    ...test,
+    baseUrl: test.baseUrl ? resolve(test.baseUrl, `${test.filePath} baseUrl`) : test.baseUrl,
+    ...Object.fromEntries(STEP_SECTIONS.filter(section => test[section]).map(section => [section, resolveSection(section)]))
+  };
+
+  if (test.rawText !== undefined) {
+    resolved.rawText = errors.length ? test.rawText : context.interpolate(test.rawText);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Unresolved variables in ${test.filePath}:\n${errors.map(err => `  ${err}`).join('\n')}`);
+  }
+
+  return resolved;
+}
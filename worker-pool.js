@@ -0,0 +1,121 @@
+/**
+ * Worker Pool
+ * Runs test files in parallel child processes.
+ *
+ * Each worker is a fork of the runner script that executes a single test file
+ * with MCP_WORKER_ID set, so it gets its own MCP server, browser profile and
+ * screenshot directory. Worker output is prefixed with the worker id and the
+ * result is sent back to the parent over IPC.
+ *
+ * stopWorkers() forwards an interrupt to the running workers and stops the
+ * pool from starting new ones, as does the shouldStop option (e.g. once the
+ * LLM budget is spent); test files it never started are reported as not run.
+ */
+
+import { fork } from 'child_process';
+import readline from 'readline';
+import { testPath } from './test-discovery.js';
+
+const activeWorkers = new Set();
+let stopped = false;
+
+/**
+ * Forward a child stream to a parent stream, prefixing every line
+ * @param {stream.Readable} input - Child stdout/stderr
+ * @param {stream.Writable} output - Parent stdout/stderr
+ * @param {string} prefix - Line prefix
+ */
+function pipeWithPrefix(input, output, prefix) {
+  readline.createInterface({ input }).on('line', line => {
+    output.write(`${prefix} ${line}\n`);
+  });
+}
+
+/**
+ * Run a single test file in a forked worker
+ * @param {string} scriptPath - Runner script to fork
+ * @param {string} testFile - Test file to execute
+ * @param {number} workerId - Worker slot id (1-based)
+ * @param {Array<string>} args - Extra CLI arguments for the worker
+ * @returns {Promise<Array<Object>>} - Results reported by the worker
+ */
+function runWorker(scriptPath, testFile, workerId, args) {
+  return new Promise((resolve) => {
+    const child = fork(scriptPath, [testFile, ...args], {
+      env: { ...process.env, MCP_WORKER_ID: String(workerId) },
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+    });
+    activeWorkers.add(child);
+
+    const prefix = `[w${workerId}]`;
+    pipeWithPrefix(child.stdout, process.stdout, prefix);
+    pipeWithPrefix(child.stderr, process.stderr, prefix);
+
+    let results = null;
+    child.on('message', message => {
+      if (message && message.type === 'results') {
+        results = message.results;
+      }
+    });
+
+    // 'close' fires after stdout/stderr are drained, unlike 'exit'
+    child.on('close', (code, signal) => {
+      activeWorkers.delete(child);
+      if (results) {
+        resolve(results);
+        return;
+      }
+      resolve([{
+        testName: testPath(testFile),
+        status: stopped ? 'INTERRUPTED' : 'FAILED',
+        error: `Worker ${workerId} exited with ${signal ? `signal ${signal}` : `code ${code}`} before reporting a result`
+      }]);
+    });
+  });
+}
+
+/**
+ * Run test files across a pool of workers
+ * @param {Array<string>} testFiles - Test files to execute
+ * @param {Object} options
+ * @param {number} options.workers - Maximum number of parallel workers
+ * @param {string} options.scriptPath - Runner script to fork
+ * @param {Array<string>} [options.args] - Extra CLI arguments for each worker
+ * @param {Function} [options.onResults] - Called with the results of each worker as it finishes
+ * @param {Function} [options.shouldStop] - Checked before starting a test file; true starts no more
+ * @returns {Promise<Array<Object>>} - Results, in the order of testFiles
+ */
+export async function runInWorkers(testFiles, { workers, scriptPath, args = [], onResults = () => {}, shouldStop = () => false }) {
+  const results = new Array(testFiles.length);
+  let next = 0;
+
+  const slot = async (workerId) => {
+    while (next < testFiles.length && !stopped && !shouldStop()) {
+      const index = next++;
+      console.log(`ℹ️  [w${workerId}] Executing test ${index + 1}/${testFiles.length}: ${testPath(testFiles[index])}`);
+      results[index] = await runWorker(scriptPath, testFiles[index], workerId, args);
+      onResults(results[index]);
+    }
+  };
+
+  const slotCount = Math.min(workers, testFiles.length);
+  await Promise.all(Array.from({ length: slotCount }, (_, i) => slot(i + 1)));
+
+  for (let index = 0; index < testFiles.length; index++) {
+    results[index] ??= [{ testName: testPath(testFiles[index]), status: 'NOT RUN' }];
+  }
+  return results.flat();
+}
+
+/**
+ * Stop the pool: send a signal to every running worker and start no new ones
+ * @param {string} [signal='SIGTERM'] - Signal to send, e.g. 'SIGKILL' to force an exit
+ */
+export function stopWorkers(signal = 'SIGTERM') {
+  stopped = true;
+  for (const child of activeWorkers) {
+    child.kill(signal);
+  }
+}
+
+export default runInWorkers;